@@ -0,0 +1,324 @@
+/**
+ * RNK™ Illumination - Animation Presets
+ */
+
+const TWO_PI = Math.PI * 2;
+
+// Every running animation; those without a GSAP tween are advanced by the canvas ticker
+const _animations = new Set();
+let _tickerCallback = null;
+
+/**
+ * Preset waveforms. `wave` maps a cycle phase (0-1) to a modulation factor (0-1),
+ * and `duration` is the cycle length in seconds at speed 1.
+ */
+const ANIMATION_PRESETS = {
+  pulse: {
+    duration: 1.6,
+    wave: phase => 0.5 - 0.5 * Math.cos(phase * TWO_PI)
+  },
+  breathe: {
+    duration: 4,
+    wave: phase => Math.pow(Math.sin(phase * Math.PI), 2)
+  },
+  flicker: {
+    duration: 2,
+    wave: phase => {
+      // Layered incommensurate sines read as an irregular torchlight flicker
+      const t = phase * TWO_PI;
+      const value = Math.sin(t * 3) * 0.5 + Math.sin(t * 7 + 1.3) * 0.3 + Math.sin(t * 13 + 2.1) * 0.2;
+      return Math.min(1, Math.max(0, 0.5 + value * 0.5));
+    }
+  },
+  strobe: {
+    duration: 0.5,
+    wave: phase => (phase < 0.5 ? 1 : 0)
+  },
+  'hue-cycle': {
+    duration: 6,
+    wave: phase => phase
+  },
+  heartbeat: {
+    duration: 1.2,
+    wave: phase => {
+      const beat = (center, width) => Math.max(0, 1 - Math.abs(phase - center) / width);
+      return Math.min(1, beat(0.1, 0.1) + beat(0.3, 0.1) * 0.7);
+    }
+  },
+  chase: {
+    duration: 2,
+    wave: phase => phase
+  }
+};
+
+// Cycle length in seconds for gradient color cycling at speed 1
+const COLOR_CYCLE_DURATION = 4;
+
+function getGsap() {
+  return globalThis.gsap || (typeof gsap !== 'undefined' ? gsap : null);
+}
+
+/**
+ * Resolve which numeric property of a filter or display object carries the modulation.
+ * @param {object} target
+ * @returns {string|null}
+ */
+function getAnimatedProperty(target) {
+  if (target.outerStrength !== undefined) return 'outerStrength';
+  if (target.thickness !== undefined) return 'thickness';
+  if (target.alpha !== undefined) return 'alpha';
+  if (target.blur !== undefined) return 'blur';
+  return null;
+}
+
+/**
+ * Sample a multi-stop gradient.
+ * @param {number[]} colors - PIXI hex color stops, inner to outer
+ * @param {number} t - Position along the gradient (0-1)
+ * @returns {number} Interpolated PIXI hex color
+ */
+export function sampleGradient(colors, t) {
+  if (!colors?.length) return 0xFFFFFF;
+  if (colors.length === 1) return colors[0];
+  const scaled = Math.min(1, Math.max(0, t)) * (colors.length - 1);
+  const index = Math.min(colors.length - 2, Math.floor(scaled));
+  const local = scaled - index;
+  const from = colors[index];
+  const to = colors[index + 1];
+  const channel = shift => Math.round(((from >> shift) & 0xFF) * (1 - local) + ((to >> shift) & 0xFF) * local);
+  return (channel(16) << 16) | (channel(8) << 8) | channel(0);
+}
+
+function shiftHue(baseColor, phase) {
+  try {
+    const [hue, saturation, value] = Color.from(baseColor).hsv;
+    return Color.fromHSV([(hue + phase) % 1, Math.max(saturation, 0.6), Math.max(value, 0.6)]).valueOf();
+  } catch (err) {
+    return baseColor;
+  }
+}
+
+function drawChaseComet(graphics, radiusX, radiusY, color) {
+  const segments = 12;
+  const arc = Math.PI / 2;
+  graphics.clear();
+  for (let i = 0; i < segments; i++) {
+    const start = (i / segments) * arc;
+    const end = ((i + 1) / segments) * arc;
+    graphics.lineStyle(4, color, (i + 1) / segments);
+    graphics.moveTo(Math.cos(start) * radiusX, Math.sin(start) * radiusY);
+    graphics.lineTo(Math.cos(end) * radiusX, Math.sin(end) * radiusY);
+  }
+}
+
+/**
+ * Create the orbiting highlight used by the chase preset.
+ * @param {object} placeable
+ * @param {number} color - PIXI hex color value
+ * @returns {PIXI.Graphics|null}
+ */
+function createChaseGraphics(placeable, color) {
+  const w = placeable.w ?? placeable.document?.width;
+  const h = placeable.h ?? placeable.document?.height;
+  if (!w || !h || typeof placeable.addChild !== 'function') return null;
+
+  const graphics = new PIXI.Graphics();
+  graphics.name = 'rnk-illumination-chase';
+  graphics.eventMode = 'none';
+  graphics.position.set(w / 2, h / 2);
+  graphics.zIndex = 4000;
+  graphics.blendMode = PIXI.BLEND_MODES.ADD;
+  drawChaseComet(graphics, w / 2 + 2, h / 2 + 2, color);
+  placeable.addChild(graphics);
+  return graphics;
+}
+
+function setColor(target, color) {
+  if (target.color !== undefined) target.color = color;
+  else if (target.tint !== undefined) target.tint = color;
+}
+
+function applyFrame(state) {
+  const { target, mode, amplitude } = state;
+
+  if (mode === 'color-cycle') {
+    // Loop back to the first stop so the cycle has no seam
+    setColor(target, sampleGradient([...state.colors, state.colors[0]], state.phase));
+    return;
+  }
+
+  const factor = state.preset.wave(state.phase);
+
+  if (mode === 'hue-cycle') {
+    setColor(target, shiftHue(state.baseColor, factor));
+    return;
+  }
+
+  if (mode === 'chase') {
+    if (state.chase && !state.chase.destroyed) state.chase.rotation = factor * TWO_PI;
+    return;
+  }
+
+  if (!state.property) return;
+  const scale = (1 - amplitude) + amplitude * 2 * factor;
+  const value = state.baseValue * scale;
+  target[state.property] = state.property === 'alpha' ? Math.min(1, value) : value;
+}
+
+function tick() {
+  const deltaMS = canvas?.app?.ticker?.deltaMS ?? 16.7;
+  _animations.forEach(state => {
+    if (state.tween) return;
+    if (state.target.destroyed) {
+      stopState(state);
+      return;
+    }
+    state.phase = (state.phase + deltaMS / 1000 / state.duration) % 1;
+    applyFrame(state);
+  });
+}
+
+function startTicker() {
+  const ticker = canvas?.app?.ticker;
+  if (!_tickerCallback && ticker) {
+    _tickerCallback = tick;
+    ticker.add(_tickerCallback);
+  }
+}
+
+function stopTickerIfIdle() {
+  if (!_tickerCallback || Array.from(_animations).some(state => !state.tween)) return;
+  canvas?.app?.ticker?.remove(_tickerCallback);
+  _tickerCallback = null;
+}
+
+/**
+ * Register an animation state and drive it with GSAP when loaded, otherwise the canvas ticker.
+ * @param {Object} state
+ */
+function runState(state) {
+  state.target[state.key] = state;
+  _animations.add(state);
+
+  const gsapLib = getGsap();
+  if (gsapLib) {
+    state.tween = gsapLib.to(state, {
+      phase: 1,
+      duration: state.duration,
+      repeat: -1,
+      ease: 'none',
+      onUpdate: () => {
+        if (state.target.destroyed) stopState(state);
+        else applyFrame(state);
+      }
+    });
+  } else {
+    startTicker();
+  }
+}
+
+function stopState(state) {
+  const { target } = state;
+  if (state.tween) {
+    state.tween.kill();
+    state.tween = null;
+  }
+  _animations.delete(state);
+  stopTickerIfIdle();
+
+  if (!target.destroyed) {
+    if (state.property) target[state.property] = state.baseValue;
+    if ((state.mode === 'hue-cycle' || state.mode === 'color-cycle') && state.restColor !== undefined) setColor(target, state.restColor);
+  }
+  if (state.chase && !state.chase.destroyed) {
+    state.chase.parent?.removeChild(state.chase);
+    state.chase.destroy();
+  }
+  if (target[state.key] === state) target[state.key] = null;
+}
+
+/**
+ * Start an animation preset on a filter or display object.
+ * GSAP drives the cycle when it is loaded; otherwise the canvas ticker does.
+ * @param {object} target - Filter or display object to animate
+ * @param {Object} options
+ * @param {string} options.mode - Preset key
+ * @param {number} [options.speed=1] - Cycle speed multiplier
+ * @param {number} [options.amplitude=0.5] - Modulation depth (0-1)
+ * @param {number} [options.color] - Base color for hue cycling and chase highlights
+ * @param {object} [options.placeable] - Owning placeable, required for chase
+ */
+export function startAnimation(target, { mode, speed = 1, amplitude = 0.5, color = 0xFFFFFF, placeable = null } = {}) {
+  if (!target) return;
+  const preset = ANIMATION_PRESETS[mode];
+  if (!preset) return;
+  const running = target._rnkAnimation;
+  if (running) {
+    const { options } = running;
+    if (options.mode === mode && options.speed === speed && options.amplitude === amplitude && options.color === color) return;
+    // Changed speed, amplitude, or color restarts the animation from the target's base value
+    stopState(running);
+  }
+
+  const property = getAnimatedProperty(target);
+  runState({
+    key: '_rnkAnimation',
+    target,
+    mode,
+    options: { mode, speed, amplitude, color },
+    preset,
+    property,
+    amplitude: Math.min(1, Math.max(0, amplitude)),
+    duration: preset.duration / Math.max(0.1, speed),
+    phase: 0,
+    baseValue: property ? (target[property] ?? 1) : 1,
+    // Hue cycling starts from the filter's color, or the profile color for tinted display objects
+    baseColor: target.color ?? color,
+    restColor: target.color ?? target.tint,
+    chase: mode === 'chase' && placeable ? createChaseGraphics(placeable, color) : null
+  });
+}
+
+/**
+ * Cycle a filter or display object's color through gradient stops.
+ * Runs alongside any preset animation on the same target.
+ * @param {object} target - Filter with a `color` or display object with a `tint`
+ * @param {number[]} colors - PIXI hex color stops
+ * @param {Object} [options]
+ * @param {number} [options.speed=1] - Cycle speed multiplier
+ */
+export function startColorCycle(target, colors, { speed = 1 } = {}) {
+  if (!target || !colors || colors.length < 2) return;
+  if (target._rnkColorCycle) stopState(target._rnkColorCycle);
+
+  runState({
+    key: '_rnkColorCycle',
+    target,
+    mode: 'color-cycle',
+    colors,
+    property: null,
+    duration: COLOR_CYCLE_DURATION / Math.max(0.1, speed),
+    phase: 0,
+    restColor: target.color ?? target.tint ?? colors[0]
+  });
+}
+
+/**
+ * Stop an animation and restore the target's resting values.
+ * @param {object} target - Filter or display object being animated
+ */
+export function stopAnimation(target) {
+  if (target?._rnkAnimation) stopState(target._rnkAnimation);
+  if (target?._rnkColorCycle) stopState(target._rnkColorCycle);
+}
+
+/**
+ * Stop every running animation and detach the ticker callback.
+ */
+export function clearAnimations() {
+  Array.from(_animations).forEach(state => stopState(state));
+  if (_tickerCallback) {
+    canvas?.app?.ticker?.remove(_tickerCallback);
+    _tickerCallback = null;
+  }
+}
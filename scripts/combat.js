@@ -0,0 +1,42 @@
+/**
+ * RNK™ Illumination - Combat Spotlight
+ */
+
+function isDefeated(combatant) {
+  return Boolean(combatant?.isDefeated ?? combatant?.defeated);
+}
+
+/**
+ * Find the next combatant to act after the current turn, skipping defeated combatants
+ * @param {Combat} combat
+ * @returns {Combatant|null}
+ */
+function getOnDeckCombatant(combat) {
+  const turns = combat.turns ?? [];
+  if (turns.length < 2) return null;
+  const current = combat.turn ?? 0;
+  for (let offset = 1; offset < turns.length; offset++) {
+    const combatant = turns[(current + offset) % turns.length];
+    if (!isDefeated(combatant)) return combatant;
+  }
+  return null;
+}
+
+/**
+ * Resolve a token's spotlight role in the combat viewed on the canvas
+ * @param {object} token - Token placeable
+ * @returns {string|null} 'active', 'onDeck', 'defeated', or null when not in a started combat
+ */
+export function getCombatRole(token) {
+  const combat = game.combat;
+  if (!token || !combat?.started) return null;
+
+  const sceneId = token.document?.parent?.id ?? canvas?.scene?.id;
+  const combatant = combat.combatants?.find(c => c.tokenId === token.id && (!c.sceneId || c.sceneId === sceneId));
+  if (!combatant) return null;
+
+  if (isDefeated(combatant)) return 'defeated';
+  if (combat.combatant?.id === combatant.id) return 'active';
+  if (getOnDeckCombatant(combat)?.id === combatant.id) return 'onDeck';
+  return null;
+}
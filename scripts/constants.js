@@ -2,10 +2,91 @@
  * RNK™ Illumination - Constants
  */
 
-export const DEFAULT_SETTINGS = { color: '#ffffff', effect: 'glow', symbol: 'x', intensity: 1.0, range: 30 };
+export const DEFAULT_SETTINGS = { color: '#ffffff', effect: 'glow', symbol: 'x', intensity: 1.0, range: 30, animation: 'none', animationSpeed: 1.0, animationAmplitude: 0.5, emitLight: false, lightRadius: 20 };
 export const DEFAULT_TARGETING_ENABLED = true;
-export const AVAILABLE_EFFECTS = ['none', 'glow', 'outline', 'shadow', 'neon'];
+export const AVAILABLE_EFFECTS = ['none', 'glow', 'outline', 'shadow', 'neon', 'underglow', 'dim'];
+export const AVAILABLE_ANIMATIONS = ['none', 'pulse', 'breathe', 'flicker', 'strobe', 'hue-cycle', 'heartbeat', 'chase'];
 export const AVAILABLE_SYMBOLS = ['x', 'plus', 'cross', 'triangle', 'square', 'circle', 'star', 'diamond', 'arrow', 'dot', 'ring', 'hexagon'];
-export const AVAILABLE_RANGES = [15, 20, 25, 30, 40, 50, 60];
+export const MAX_EFFECT_LAYERS = 4;
+// Scene units
+export const MAX_LIGHT_RADIUS = 120;
+export const DEFAULT_REGION_FILL = { fill: false, fillAlpha: 0.2 };
+export const AVAILABLE_GRADIENTS = ['none', 'radial', 'cycle'];
+export const GRADIENT_EFFECTS = ['glow', 'neon', 'underglow'];
+export const MAX_COLOR_STOPS = 3;
+export const AVAILABLE_DISPOSITIONS = ['friendly', 'neutral', 'hostile', 'secret'];
+// Keyed by CONST.TOKEN_DISPOSITIONS values
+export const DISPOSITION_KEYS = { 1: 'friendly', 0: 'neutral', '-1': 'hostile', '-2': 'secret' };
+export const DEFAULT_DISPOSITION_PALETTE = {
+  friendly: { ...DEFAULT_SETTINGS, color: '#2ecc71' },
+  neutral: { ...DEFAULT_SETTINGS, color: '#f1c40f' },
+  hostile: { ...DEFAULT_SETTINGS, color: '#e74c3c' },
+  secret: { ...DEFAULT_SETTINGS, color: '#9b59b6', effect: 'none' }
+};
+export const COMBAT_ROLES = ['active', 'onDeck', 'defeated'];
+export const DEFAULT_COMBAT_SPOTLIGHT = {
+  enabled: false,
+  active: { ...DEFAULT_SETTINGS, color: '#ffd700', effect: 'outline', intensity: 1.5, animation: 'pulse' },
+  onDeck: { ...DEFAULT_SETTINGS, color: '#3498db', effect: 'outline', intensity: 0.6 },
+  defeated: { ...DEFAULT_SETTINGS, color: '#000000', effect: 'dim' }
+};
+// Indexed by CONST.WALL_DOOR_STATES values
+export const DOOR_STATES = ['closed', 'open', 'locked'];
+export const DEFAULT_DOOR_PROFILES = {
+  enabled: false,
+  closed: { ...DEFAULT_SETTINGS, color: '#e67e22' },
+  open: { ...DEFAULT_SETTINGS, color: '#2ecc71', intensity: 0.6 },
+  locked: { ...DEFAULT_SETTINGS, color: '#e74c3c', effect: 'outline', animation: 'pulse' }
+};
+export const AVAILABLE_RULE_TYPES = ['status', 'effect', 'attribute'];
+export const RULE_OPERATORS = ['<', '<=', '>', '>=', '==', '!='];
+export const QUALITY_MODES = ['auto', 'high', 'medium', 'low', 'off'];
+// Whether an illumination zone layers over a token's profile or stands in for it
+export const ZONE_MODES = ['stack', 'replace'];
+export const LINE_VISIBILITY_MODES = ['all', 'tokens', 'segments'];
+// Whether targeting distances run between token centers or the facing token borders
+export const LINE_MEASUREMENT_MODES = ['center', 'edge'];
+export const LINE_STYLES = ['solid', 'dashed', 'dotted', 'double', 'arc', 'flow'];
+export const ARROWHEAD_SHAPES = ['triangle', 'chevron', 'circle', 'none'];
+// Target indicator reticles; every style but static animates while the target is held
+export const RETICLE_STYLES = ['static', 'brackets', 'lockon', 'radar', 'pulse'];
+export const DEFAULT_LINE_STYLE = {
+  style: 'solid',
+  width: 4,
+  opacity: 1,
+  arrowhead: 'triangle',
+  font: 'Arial',
+  fontSize: 14,
+  // Parts of the label at the target end of a line
+  labelName: true,
+  labelDistance: true,
+  labelElevation: true,
+  label3d: false,
+  // Hide the marker labels along lines with more markers than this; 0 always shows them
+  markerLabelLimit: 0,
+  // Reticle of the indicator on the user's targets
+  reticle: 'static'
+};
+// Bounds of the numeric line style fields
+export const LINE_STYLE_LIMITS = {
+  width: { min: 1, max: 12 },
+  opacity: { min: 0.1, max: 1 },
+  fontSize: { min: 8, max: 32 },
+  markerLabelLimit: { min: 0, max: 100 }
+};
+// Normal and long range in scene units, optionally read from actor or item data paths. 0 turns a band off
+export const DEFAULT_RANGE_BANDS = { normal: 0, long: 0, normalPath: '', longPath: '' };
+// Line color past normal range and past long range; lines within normal range keep the user's color
+export const RANGE_BAND_COLORS = { long: '#f1c40f', beyond: '#e74c3c' };
+// Badge color for the cover a target has from the targeting token
+export const COVER_COLORS = { none: '#2ecc71', partial: '#f1c40f', full: '#e74c3c' };
+export const DEFAULT_CLIENT_PREFERENCES = {
+  hideOthersEffects: false,
+  othersEffectScale: 1,
+  hideOthersLines: false,
+  disableAnimations: false,
+  indicatorScale: 1,
+  indicatorAvatars: false
+};
 export const IMAGE_URL_RE = /(?:\.png|\.jpe?g|\.webp|\.svg)(?:\?.*)?$/i;
 export const MODULE_ID = 'rnk-illumination';
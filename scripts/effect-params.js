@@ -0,0 +1,173 @@
+/**
+ * RNK™ Illumination - Effect Parameter Schemas
+ */
+
+// Parameters shared by every effect type
+const COMMON_PARAMS = [
+  { key: 'intensity', label: 'rnk-illumination.ui.hub.intensity', min: 0.1, max: 3, step: 0.1, default: 1 },
+  { key: 'range', label: 'rnk-illumination.ui.hub.range', min: 5, max: 120, step: 5, default: 30 }
+];
+
+// Effect-specific parameters. Strengths are scaled by the layer intensity; shadow offset and
+// underglow blur are fractions of the layer range.
+const EFFECT_PARAM_SCHEMAS = {
+  glow: [
+    { key: 'outerStrength', min: 0, max: 10, step: 0.1, default: 1.5 },
+    { key: 'innerStrength', min: 0, max: 5, step: 0.1, default: 0.5 },
+    { key: 'quality', min: 0.05, max: 0.5, step: 0.05, default: 0.1 }
+  ],
+  neon: [
+    { key: 'outerStrength', min: 0, max: 10, step: 0.1, default: 2.5 },
+    { key: 'innerStrength', min: 0, max: 5, step: 0.1, default: 0.3 },
+    { key: 'quality', min: 0.05, max: 0.5, step: 0.05, default: 0.1 }
+  ],
+  outline: [
+    { key: 'thickness', min: 0.5, max: 10, step: 0.5, default: 1.5 },
+    { key: 'alpha', min: 0, max: 1, step: 0.05, default: 1 },
+    { key: 'quality', min: 0.05, max: 1, step: 0.05, default: 0.3 }
+  ],
+  shadow: [
+    { key: 'alpha', min: 0, max: 1, step: 0.05, default: 0.6 },
+    { key: 'angle', min: 0, max: 360, step: 15, default: 45 },
+    { key: 'offset', min: 0, max: 1, step: 0.01, default: 0.47 },
+    { key: 'blur', min: 0, max: 20, step: 0.5, default: 2 }
+  ],
+  underglow: [
+    { key: 'alpha', min: 0, max: 1, step: 0.05, default: 0.35 },
+    { key: 'blur', min: 0, max: 1, step: 0.01, default: 0.34 }
+  ],
+  dim: [
+    { key: 'darken', min: 0, max: 0.8, step: 0.05, default: 0.3 },
+    { key: 'desaturate', min: 0, max: 1, step: 0.05, default: 0.5 }
+  ]
+};
+
+function getParamLabel(param) {
+  return param.label ?? `rnk-illumination.ui.hub.params.${param.key}`;
+}
+
+function clampParam(param, value) {
+  const number = Number.parseFloat(value);
+  if (!Number.isFinite(number)) return param.default;
+  return Math.min(param.max, Math.max(param.min, number));
+}
+
+/**
+ * Get the parameter schema declared by an effect type.
+ * @param {string} effect - Effect type
+ * @returns {Array<{key: string, min: number, max: number, step: number, default: number}>}
+ */
+export function getEffectParamSchema(effect) {
+  return EFFECT_PARAM_SCHEMAS[effect] ?? [];
+}
+
+/**
+ * Normalize the intensity and range shared by every layer, clamped to the common schema.
+ * @param {Object} raw - Raw layer data
+ * @returns {{intensity: number, range: number}}
+ */
+export function normalizeCommonParams(raw = {}) {
+  const [intensity, range] = COMMON_PARAMS;
+  return {
+    intensity: clampParam(intensity, raw.intensity),
+    range: clampParam(range, raw.range)
+  };
+}
+
+/**
+ * Normalize an effect's parameters, clamping each one to its schema and filling defaults.
+ * @param {string} effect - Effect type
+ * @param {Object} raw - Stored parameters
+ * @returns {Object<string, number>}
+ */
+export function normalizeEffectParams(effect, raw = {}) {
+  const params = {};
+  for (const param of getEffectParamSchema(effect)) {
+    params[param.key] = clampParam(param, raw?.[param.key]);
+  }
+  return params;
+}
+
+/**
+ * Read and validate the common and effect-specific parameters submitted for a layer.
+ * Effect-specific fields are named `<effect>_<key>` so every effect's sliders can share a form.
+ * @param {string} effect - Selected effect type
+ * @param {function(string): *} read - Returns the submitted value for a field suffix
+ * @param {string} ownerLabel - Label used in validation errors
+ * @returns {{intensity: number, range: number, params: Object<string, number>}}
+ */
+export function readEffectParams(effect, read, ownerLabel) {
+  const readParam = (param, field) => {
+    const raw = read(field);
+    if (raw === undefined || raw === null || raw === '') return param.default;
+    const value = Number.parseFloat(raw);
+    if (!Number.isFinite(value) || value < param.min || value > param.max) {
+      const label = game.i18n.localize(getParamLabel(param));
+      throw new Error(`${label} must be between ${param.min} and ${param.max} for ${ownerLabel}`);
+    }
+    return value;
+  };
+
+  const [intensity, range] = COMMON_PARAMS;
+  const params = {};
+  for (const param of getEffectParamSchema(effect)) {
+    params[param.key] = readParam(param, `${effect}_${param.key}`);
+  }
+  return {
+    intensity: readParam(intensity, 'intensity'),
+    range: readParam(range, 'range'),
+    params
+  };
+}
+
+/**
+ * Build the slider context for a layer: the common sliders plus one group per effect type,
+ * with only the layer's current effect group visible.
+ * @param {Object} layer - Normalized layer
+ * @returns {{common: Array<Object>, groups: Array<Object>}}
+ */
+export function getEffectParamContext(layer = {}) {
+  const toField = (param, name, value) => ({
+    name,
+    label: getParamLabel(param),
+    min: param.min,
+    max: param.max,
+    step: param.step,
+    value
+  });
+  return {
+    common: COMMON_PARAMS.map(param => toField(param, param.key, clampParam(param, layer[param.key]))),
+    groups: Object.keys(EFFECT_PARAM_SCHEMAS).map(effect => {
+      const values = normalizeEffectParams(effect, effect === layer.effect ? layer.params : {});
+      return {
+        effect,
+        active: effect === layer.effect,
+        fields: EFFECT_PARAM_SCHEMAS[effect].map(param => toField(param, `${effect}_${param.key}`, values[param.key]))
+      };
+    })
+  };
+}
+
+/**
+ * Wire the slider groups rendered by getEffectParamContext: show the group for the selected
+ * effect and mirror each slider's value into its output.
+ * @param {HTMLElement} root - Element containing the sliders and their effect selects
+ */
+export function bindEffectParamControls(root) {
+  root?.querySelectorAll('.rnk-illumination-params').forEach(container => {
+    const select = root.querySelector(`[name="${container.dataset.effectSelect}"]`);
+    const sync = () => {
+      container.querySelectorAll('.rnk-illumination-param-group').forEach(group => {
+        group.hidden = group.dataset.effect !== select?.value;
+      });
+    };
+    select?.addEventListener('change', sync);
+    container.querySelectorAll('input[type="range"]').forEach(input => {
+      const output = input.nextElementSibling;
+      input.addEventListener('input', () => {
+        if (output) output.value = input.value;
+      });
+    });
+    sync();
+  });
+}
@@ -2,7 +2,18 @@
  * RNK™ Illumination - Effects and Filters
  */
 
-import { DEFAULT_SETTINGS } from './constants.js';
+import { DEFAULT_SETTINGS, GRADIENT_EFFECTS, MAX_COLOR_STOPS } from './constants.js';
+import { applyUnderglow, getPlaceableFootprint, removeUnderglow, syncUnderglow } from './underglow.js';
+import { startAnimation, startColorCycle, stopAnimation } from './animations.js';
+import { getQualityTier } from './quality.js';
+import { normalizeEffectParams } from './effect-params.js';
+
+// Glow distance cap for the medium quality tier
+const MEDIUM_GLOW_DISTANCE = 20;
+
+// Released filters are kept per spec key for reuse, up to this many per key
+const FILTER_POOL_LIMIT = 16;
+const _filterPool = new Map();
 
 /**
  * Validate and convert color string to hex
@@ -33,6 +44,28 @@ export function sanitizeColor(color) {
   return '#ffffff';
 }
 
+/**
+ * Sanitize the additional gradient stops of a layer, dropping invalid entries
+ * @param {Array<string>} stops - Extra stops after the layer's primary color
+ * @returns {Array<string>} Valid hex colors
+ */
+export function sanitizeColorStops(stops) {
+  if (!Array.isArray(stops)) return [];
+  return stops
+    .filter(stop => typeof stop === 'string' && /^#[0-9A-F]{6}$/i.test(stop))
+    .slice(0, MAX_COLOR_STOPS - 1);
+}
+
+/**
+ * Resolve every color stop of a layer, inner to outer. Single-color layers yield one stop.
+ * @param {Object} layer - Normalized layer
+ * @returns {Array<string>}
+ */
+function getLayerColorStops(layer) {
+  if (!layer.gradient || layer.gradient === 'none') return [layer.color];
+  return [layer.color, ...sanitizeColorStops(layer.colorStops)];
+}
+
 /**
  * Get the appropriate filter class based on availability.
  * Foundry's filter globals vary by runtime, so check both locations.
@@ -55,6 +88,11 @@ export function getFilterClass(filterName) {
  */
 export function createFallbackFilter(color, strength = 1) {
   const filter = new PIXI.ColorMatrixFilter();
+  setFallbackMatrix(filter, color, strength);
+  return filter;
+}
+
+function setFallbackMatrix(filter, color, strength) {
   const c = Color.from(color);
   const rgb = c.rgb;
 
@@ -64,18 +102,22 @@ export function createFallbackFilter(color, strength = 1) {
     0, 0, 1, 0, rgb[2] * strength * 0.3,
     0, 0, 0, 1, 0
   ];
-
-  return filter;
 }
 
 /**
  * Return the display object that can receive a PIXI filter for a placeable.
- * Tokens, tiles, and many scene objects expose one of these fields.
+ * Tokens, tiles, and many scene objects expose one of these fields. Placeables the module
+ * draws an overlay for, such as regions and walls, receive the filters on the overlay's boundary.
  * @param {object} placeable
  * @returns {PIXI.DisplayObject|null}
  */
 function getEffectSprite(placeable) {
   if (!placeable) return null;
+  if (placeable._rnkOverlay?.boundary && !placeable._rnkOverlay.destroyed) return placeable._rnkOverlay.boundary;
+  // Measured templates draw their area on `template`; notes and sounds are marked by their control icon
+  const documentName = placeable.document?.documentName;
+  if (documentName === 'MeasuredTemplate' && placeable.template) return placeable.template;
+  if ((documentName === 'Note' || documentName === 'AmbientSound') && placeable.controlIcon) return placeable.controlIcon;
   if (placeable.mesh) return placeable.mesh;
   if (placeable.icon) return placeable.icon;
   if (placeable.shape) return placeable.shape;
@@ -83,188 +125,346 @@ function getEffectSprite(placeable) {
 }
 
 /**
- * Apply illumination effect to a token
+ * Describe the filter for a single effect layer. `key` identifies filters that can be
+ * reconfigured into each other: only constructor-fixed parameters, such as a glow's
+ * distance, are part of it. `configure` applies every adjustable parameter in place.
+ * Effect-specific values come from the layer's `params`, as declared by its effect schema.
+ * The low tier swaps every shader filter for the ColorMatrixFilter fallback, and the medium
+ * tier caps glow distance and halves glow and outline sampling quality.
+ * @param {Object} layer - Normalized layer with effect, color, intensity, range, and params
+ * @param {string} [tier='high'] - Quality tier
+ * @returns {{key: string, create: function(): PIXI.Filter, configure: function(PIXI.Filter): void}}
+ */
+function getLayerFilterSpec(layer, tier = 'high') {
+  const color = parseColor(layer.color);
+  const cheap = tier === 'low';
+  const reduced = tier === 'medium';
+  const GlowFilter = cheap ? null : getFilterClass('GlowFilter');
+  const OutlineFilter = cheap ? null : getFilterClass('OutlineFilter');
+  const DropShadowFilter = cheap ? null : getFilterClass('DropShadowFilter');
+
+  const intensity = parseFloat(layer.intensity) || 1.0;
+  const range = parseInt(layer.range) || 30;
+  const params = normalizeEffectParams(layer.effect, layer.params);
+
+  const glow = (maxDistance, outerStrength, innerStrength, fullQuality = 0.1) => {
+    const distance = reduced ? Math.min(maxDistance, MEDIUM_GLOW_DISTANCE) : maxDistance;
+    const quality = reduced ? fullQuality / 2 : fullQuality;
+    return {
+      key: `glow:${distance}:${quality}`,
+      create: () => new GlowFilter({ distance, outerStrength, innerStrength, color, quality }),
+      configure: filter => {
+        filter.outerStrength = outerStrength;
+        filter.innerStrength = innerStrength;
+        filter.color = color;
+      }
+    };
+  };
+  const fallback = strength => ({
+    key: 'matrix',
+    create: () => createFallbackFilter(color, strength),
+    configure: filter => setFallbackMatrix(filter, color, strength)
+  });
+
+  switch (layer.effect) {
+    case 'glow':
+      return GlowFilter
+        ? glow(range, intensity * params.outerStrength, intensity * params.innerStrength, params.quality)
+        : fallback(intensity);
+    case 'outline':
+      if (OutlineFilter) {
+        const thickness = intensity * params.thickness;
+        const quality = reduced ? params.quality / 2 : params.quality;
+        return {
+          key: `outline:${quality}`,
+          create: () => new OutlineFilter(thickness, color, quality, params.alpha),
+          configure: filter => {
+            filter.thickness = thickness;
+            filter.color = color;
+            filter.alpha = params.alpha;
+          }
+        };
+      }
+      return GlowFilter ? glow(range / 3, intensity * params.thickness * 2, 0) : fallback(intensity * 1.5);
+    case 'shadow':
+      if (DropShadowFilter) {
+        const distance = range * params.offset;
+        const radians = params.angle * Math.PI / 180;
+        const offset = { x: Math.cos(radians) * distance, y: Math.sin(radians) * distance };
+        return {
+          key: 'shadow',
+          create: () => new DropShadowFilter({ offset, alpha: params.alpha, blur: params.blur, color }),
+          configure: filter => {
+            filter.offset = offset;
+            filter.alpha = params.alpha;
+            filter.blur = params.blur;
+            filter.color = color;
+          }
+        };
+      }
+      return fallback(intensity * 0.5);
+    case 'dim': {
+      // Dimming darkens and desaturates the artwork; the layer color is not used
+      const configure = filter => {
+        filter.brightness(Math.max(0.2, 1 - params.darken * intensity), false);
+        filter.saturate(-params.desaturate, true);
+      };
+      return {
+        key: 'matrix',
+        create: () => {
+          const filter = new PIXI.ColorMatrixFilter();
+          configure(filter);
+          return filter;
+        },
+        configure
+      };
+    }
+    case 'neon':
+      return GlowFilter
+        ? glow(range, intensity * params.outerStrength, intensity * params.innerStrength, params.quality)
+        : fallback(intensity * 2);
+    default:
+      return GlowFilter ? glow(range, intensity * 1.5, 0) : fallback(intensity);
+  }
+}
+
+/**
+ * Describe the filters for a layer. Radial gradients on glow-style effects become one filter
+ * per stop, with inner stops hugging the artwork and outer stops reaching the full range.
+ * The low tier draws only the first stop.
+ * @param {Object} layer - Normalized layer
+ * @param {string} [tier='high'] - Quality tier
+ * @returns {Array<Object>} Filter specs
+ */
+function getLayerFilterSpecs(layer, tier = 'high') {
+  const stops = getLayerColorStops(layer);
+  if (tier !== 'low' && layer.gradient === 'radial' && stops.length > 1 && GRADIENT_EFFECTS.includes(layer.effect)) {
+    const range = parseInt(layer.range) || 30;
+    const intensity = parseFloat(layer.intensity) || 1.0;
+    return stops.map((color, index) => getLayerFilterSpec({
+      ...layer,
+      color,
+      range: Math.max(2, Math.round(range * (index + 1) / stops.length)),
+      intensity: intensity / stops.length * (stops.length - index * 0.5)
+    }, tier));
+  }
+  return [getLayerFilterSpec(layer, tier)];
+}
+
+/**
+ * Take a filter matching a spec from the pool, or build a new one.
+ * @param {Object} spec - Filter spec from getLayerFilterSpec
+ * @returns {PIXI.Filter|null}
+ */
+function acquireFilter(spec) {
+  const pooled = _filterPool.get(spec.key)?.pop();
+  const filter = pooled ?? spec.create();
+  if (!filter) return null;
+  if (pooled) spec.configure(filter);
+  filter._rnkIllumination = true;
+  filter._rnkPoolKey = spec.key;
+  filter._rnkPooled = false;
+  return filter;
+}
+
+/**
+ * Stop a detached filter's animations and return it to the pool, destroying it when the pool is full.
+ * @param {PIXI.Filter} filter
+ */
+function releaseFilter(filter) {
+  if (!filter || filter._rnkPooled) return;
+  stopAnimation(filter);
+  filter._rnkPooled = true;
+  const key = filter._rnkPoolKey;
+  const bucket = key ? (_filterPool.get(key) ?? []) : null;
+  if (bucket && bucket.length < FILTER_POOL_LIMIT) {
+    bucket.push(filter);
+    _filterPool.set(key, bucket);
+  } else {
+    filter.destroy?.();
+  }
+}
+
+/**
+ * Destroy every pooled filter. Called when the canvas is torn down.
+ */
+export function clearFilterPool() {
+  _filterPool.forEach(bucket => bucket.forEach(filter => filter.destroy?.()));
+  _filterPool.clear();
+}
+
+/**
+ * Check that the filters and underglow recorded for a placeable are still live on its sprite.
+ * Foundry replaces a token's mesh on redraw, which leaves the recorded filters behind.
+ * @param {object} token
+ * @param {PIXI.DisplayObject} sprite
+ * @param {Object} state - Recorded effect state
+ * @returns {boolean}
+ */
+function isEffectAttached(token, sprite, state) {
+  if (!state || state.sprite !== sprite || sprite.destroyed) return false;
+  const filters = sprite.filters ?? [];
+  if (!state.entries.every(({ filter }) => filters.includes(filter))) return false;
+  return !state.underglow || Boolean(token._rnkUnderglow && !token._rnkUnderglow.destroyed);
+}
+
+/**
+ * Apply illumination effect to a token. Repeated calls with unchanged settings are a no-op,
+ * and settings changes that keep the same filter kinds reconfigure the attached filters in place.
  * @param {object} token - The token or placeable to apply effect to
- * @param {Object} settings - Settings with color and effect type
- * @param {boolean} [shouldPulsate=null] - Whether the effect should pulsate
+ * @param {Object} settings - Settings with color and effect type, optionally stacked in `layers`
+ * @param {boolean} [shouldPulsate=null] - Whether to pulse when the profile has no animation of its own
  */
 export function applyEffect(token, settings, shouldPulsate = null) {
   if (!token) return;
   const sprite = getEffectSprite(token);
   if (!sprite) return;
 
-  // If effect is 'none', don't apply any effect
-  if (settings.effect === 'none') {
+  const layers = (Array.isArray(settings.layers) && settings.layers.length ? settings.layers : [settings])
+    .filter(layer => layer && layer.effect !== 'none');
+
+  // If every layer is 'none', or this client turned effects off, don't apply any effect
+  const tier = getQualityTier();
+  if (!layers.length || tier === 'off') {
     removeEffect(token);
     return;
   }
 
+  // The low tier drops animation and color cycling entirely
+  const animated = tier !== 'low';
   const pulsate = (shouldPulsate !== null) ? shouldPulsate : token.isTargeted;
+  const animationMode = (settings.animation && settings.animation !== 'none') ? settings.animation : (pulsate ? 'pulse' : null);
+  const animationOptions = {
+    mode: animationMode,
+    speed: Number(settings.animationSpeed) || 1,
+    amplitude: Number(settings.animationAmplitude ?? 0.5),
+    color: parseColor(settings.color),
+    placeable: token
+  };
+  // Layers stacked from an overlay profile carry their own animation preset
+  const getLayerAnimation = (layer) => {
+    if (!layer?.animation) return animationOptions;
+    return {
+      ...animationOptions,
+      mode: layer.animation !== 'none' ? layer.animation : null,
+      speed: Number(layer.animationSpeed) || 1,
+      amplitude: Number(layer.animationAmplitude ?? 0.5),
+      color: parseColor(layer.color)
+    };
+  };
+  // The chase highlight orbits the placeable once, however many layers are animated
+  let chaseClaimed = false;
+  const animate = (target, layer) => {
+    const options = getLayerAnimation(layer);
+    if (!animated || !options.mode) return;
+    const placeable = (options.mode === 'chase' && !chaseClaimed) ? token : null;
+    if (options.mode === 'chase') chaseClaimed = true;
+    startAnimation(target, { ...options, placeable });
+  };
 
-  removeEffect(token);
+  const underglowLayers = layers.filter(layer => layer.effect === 'underglow');
+  const footprint = underglowLayers.length ? getPlaceableFootprint(token) : null;
+  const signature = JSON.stringify({
+    layers,
+    tier,
+    animation: [animationMode, animationOptions.speed, animationOptions.amplitude, animationOptions.color],
+    footprint: footprint ? [footprint.w, footprint.h] : null
+  });
+
+  const state = token._rnkEffectState;
+  const attached = isEffectAttached(token, sprite, state);
+  if (attached && state.signature === signature) {
+    // Nothing changed; only keep the ground-plane pool under a moving placeable
+    syncUnderglow(token);
+    return;
+  }
 
   try {
-    const color = parseColor(settings.color);
-    let filter;
-
-    const GlowFilter = getFilterClass('GlowFilter');
-    const OutlineFilter = getFilterClass('OutlineFilter');
-    const DropShadowFilter = getFilterClass('DropShadowFilter');
-
-    const intensity = parseFloat(settings.intensity) || 1.0;
-    const range = parseInt(settings.range) || 30;
-
-    switch (settings.effect) {
-      case 'glow':
-        if (GlowFilter) {
-          filter = new GlowFilter({ 
-            distance: range, 
-            outerStrength: intensity * 1.5, 
-            innerStrength: intensity * 0.5, 
-            color: color 
-          });
-        } else {
-          filter = createFallbackFilter(color, intensity);
-        }
-        break;
-      case 'outline':
-        if (OutlineFilter) {
-          filter = new OutlineFilter(intensity * 1.5, color, 0.3);
-        } else if (GlowFilter) {
-          filter = new GlowFilter({ 
-            distance: range / 3, 
-            outerStrength: intensity * 3, 
-            innerStrength: 0, 
-            color: color 
-          });
-        } else {
-          filter = createFallbackFilter(color, intensity * 1.5);
-        }
-        break;
-      case 'shadow':
-        if (DropShadowFilter) {
-          filter = new DropShadowFilter({ offset: { x: range / 3, y: range / 3 }, alpha: 0.6, color: color });
-        } else {
-          filter = createFallbackFilter(color, intensity * 0.5);
-        }
-        break;
-      case 'neon':
-        if (GlowFilter) {
-          filter = new GlowFilter({ 
-            distance: range, 
-            outerStrength: intensity * 2.5, 
-            innerStrength: intensity * 0.3, 
-            color: color 
-          });
-        } else {
-          filter = createFallbackFilter(color, intensity * 2);
-        }
-        break;
-      default:
-        if (GlowFilter) {
-          filter = new GlowFilter({ distance: range, outerStrength: intensity * 1.5, color: color });
-        } else {
-          filter = createFallbackFilter(color, intensity);
-        }
+    const specs = layers
+      .filter(layer => layer.effect !== 'underglow')
+      .flatMap(layer => getLayerFilterSpecs(layer, tier).map(spec => ({ spec, layer })));
+
+    // Reconfigure the attached filters when the filter kinds line up, otherwise rebuild the chain
+    let entries;
+    const reusable = attached && state.entries.length === specs.length &&
+      state.entries.every((entry, index) => entry.filter._rnkPoolKey === specs[index].spec.key);
+    if (reusable) {
+      entries = state.entries.map((entry, index) => {
+        stopAnimation(entry.filter);
+        specs[index].spec.configure(entry.filter);
+        return { filter: entry.filter, layer: specs[index].layer };
+      });
+      if (token._rnkUnderglow) stopAnimation(token._rnkUnderglow);
+      if (!underglowLayers.length) removeUnderglow(token);
+    } else {
+      removeEffect(token);
+      entries = specs
+        .map(({ spec, layer }) => ({ filter: acquireFilter(spec), layer }))
+        .filter(entry => entry.filter);
+      // The filter chain is attached as a unit so removeEffect can strip it in one pass
+      if (entries.length) {
+        const existingFilters = sprite.filters ? [...sprite.filters] : [];
+        existingFilters.push(...entries.map(entry => entry.filter));
+        sprite.filters = existingFilters;
+      }
     }
 
-    if (!filter) return;
-    filter._rnkIllumination = true;
+    // Underglow layers are drawn on their own ground-plane layer rather than as sprite filters
+    const pools = underglowLayers.map(layer => ({
+      colors: getLayerColorStops(layer).map(parseColor),
+      gradient: layer.gradient,
+      intensity: parseFloat(layer.intensity) || 1.0,
+      range: parseInt(layer.range) || 30,
+      ...normalizeEffectParams('underglow', layer.params)
+    }));
+    const underglow = pools.length ? applyUnderglow(token, pools, { blur: tier !== 'low' }) : null;
+    if (underglow) {
+      animate(underglow, underglowLayers[0]);
+      // Cycling pools are drawn white so the whole pool can be tinted through the stops
+      const cycling = pools.find(pool => pool.gradient === 'cycle' && pool.colors.length > 1);
+      if (cycling && animated) startColorCycle(underglow, cycling.colors, { speed: animationOptions.speed });
+    }
 
-    const existingFilters = sprite.filters ? [...sprite.filters] : [];
-    existingFilters.push(filter);
-    sprite.filters = existingFilters;
+    // Animate the chain with the profile preset, or the targeting pulse when requested
+    entries.forEach(({ filter, layer }) => {
+      animate(filter, layer);
+      const stops = getLayerColorStops(layer);
+      if (animated && layer.gradient === 'cycle' && stops.length > 1) {
+        startColorCycle(filter, stops.map(parseColor), { speed: animationOptions.speed });
+      }
+    });
 
-    // Apply pulsation if the placeable is targeted or otherwise requested
-    if (pulsate) {
-      startPulsatingAnimation(filter, settings.effect);
-    } else {
-      stopPulsatingAnimation(filter);
-    }
+    token._rnkEffectState = { signature, sprite, entries, underglow: Boolean(underglow) };
   } catch (err) {
     console.error("RNK™ Illumination | Failed to apply effect", err);
   }
 }
 
 /**
- * Remove illumination effect from a token
+ * Remove illumination effect from a token, returning its filters to the pool
  * @param {object} token - The token or placeable to remove effect from
  */
 export function removeEffect(token) {
   if (!token) return;
+  const state = token._rnkEffectState;
+  token._rnkEffectState = null;
+  if (token._rnkUnderglow) {
+    stopAnimation(token._rnkUnderglow);
+    removeUnderglow(token);
+  }
   const sprite = getEffectSprite(token);
-  if (!sprite || !sprite.filters) return;
 
   try {
-    // Stop any pulsating animations
-    if (sprite.filters) {
-      sprite.filters.forEach(f => {
-        if (f._rnkIllumination) {
-          stopPulsatingAnimation(f);
-        }
-      });
+    const released = [];
+    if (sprite?.filters) {
+      released.push(...sprite.filters.filter(f => f._rnkIllumination));
+      const filtered = sprite.filters.filter(f => !f._rnkIllumination);
+      sprite.filters = filtered.length > 0 ? filtered : null;
     }
-    
-    const filtered = sprite.filters.filter(f => !f._rnkIllumination);
-    sprite.filters = filtered.length > 0 ? filtered : null;
+    // Filters left on a mesh Foundry has since replaced are still owned by this placeable
+    if (state) released.push(...state.entries.map(entry => entry.filter));
+    released.forEach(filter => releaseFilter(filter));
   } catch (err) {
     console.error("RNK™ Illumination | Failed to remove effect", err);
   }
 }
-
-/**
- * Start pulsating animation on the filter
- * @param {PIXI.Filter} filter - The filter to animate
- * @param {string} effectType - The effect type
- */
-export function startPulsatingAnimation(filter, effectType) {
-  if (filter._pulsatingTween) return;
-
-  let targetProperty, minValue, maxValue;
-
-  if (effectType === 'glow' || effectType === 'neon') {
-    targetProperty = 'distance';
-    minValue = effectType === 'glow' ? 5 : 10;
-    maxValue = effectType === 'glow' ? 20 : 35;
-  } else if (effectType === 'outline') {
-    targetProperty = 'thickness';
-    minValue = 1;
-    maxValue = 6;
-  } else {
-    targetProperty = 'alpha';
-    minValue = 0.4;
-    maxValue = 1.0;
-  }
-
-  if (filter[targetProperty] === undefined) {
-    if (filter.outerStrength !== undefined) targetProperty = 'outerStrength';
-    else if (filter.blur !== undefined) targetProperty = 'blur';
-    else return;
-  }
-
-  // Use global GSAP if available
-  const gsapLib = globalThis.gsap || (typeof gsap !== 'undefined' ? gsap : null);
-  if (!gsapLib) return;
-
-  filter._pulsatingTween = gsapLib.to(filter, {
-    [targetProperty]: maxValue,
-    duration: 0.8,
-    yoyo: true,
-    repeat: -1,
-    ease: "power2.inOut"
-  });
-}
-
-/**
- * Stop pulsating animation on the filter
- * @param {PIXI.Filter} filter - The filter to stop animating
- */
-export function stopPulsatingAnimation(filter) {
-  if (filter._pulsatingTween) {
-    const gsapLib = globalThis.gsap || (typeof gsap !== 'undefined' ? gsap : null);
-    if (gsapLib) {
-      gsapLib.killTweensOf(filter);
-    }
-    filter._pulsatingTween = null;
-  }
-}
@@ -3,16 +3,46 @@
  */
 
 import {
+  ARROWHEAD_SHAPES,
+  AVAILABLE_ANIMATIONS,
+  AVAILABLE_DISPOSITIONS,
   AVAILABLE_EFFECTS,
-  AVAILABLE_RANGES,
+  AVAILABLE_GRADIENTS,
+  AVAILABLE_RULE_TYPES,
   AVAILABLE_SYMBOLS,
+  COMBAT_ROLES,
+  DEFAULT_LINE_STYLE,
   DEFAULT_SETTINGS,
   DEFAULT_TARGETING_ENABLED,
-  MODULE_ID
+  DOOR_STATES,
+  LINE_MEASUREMENT_MODES,
+  LINE_STYLE_LIMITS,
+  LINE_STYLES,
+  LINE_VISIBILITY_MODES,
+  MAX_COLOR_STOPS,
+  MAX_EFFECT_LAYERS,
+  MAX_LIGHT_RADIUS,
+  MODULE_ID,
+  RETICLE_STYLES,
+  RULE_OPERATORS
 } from './constants.js';
 import { sanitizeColor } from './effects.js';
+import { bindEffectParamControls, getEffectParamContext, readEffectParams } from './effect-params.js';
 import { isValidSymbol, sanitizeSymbol } from './targeting.js';
 import { clearTargetingLines, drawTargetingLine } from './targeting-lines.js';
+import {
+  getColorStopSlots,
+  getExtraLayerSlots,
+  normalizeCombatSpotlight,
+  normalizeDispositionPalette,
+  normalizeDoorProfiles,
+  normalizeEffectSettings,
+  normalizeLineStyle,
+  normalizeRangeBands
+} from './profiles.js';
+import { normalizeRules } from './rules.js';
+import { getDoorState, getWallType } from './walls.js';
+import { getIlluminationZones, getZoneProfile } from './zones.js';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -60,24 +90,421 @@ function getPlaceableSettings(placeable) {
   const raw = placeable?.document?.getFlag?.(MODULE_ID, 'illuminationSettings') ||
     placeable?.getFlag?.(MODULE_ID, 'illuminationSettings');
   if (!raw) return null;
+  return normalizeEffectSettings(raw);
+}
 
-  const customSymbol = typeof raw.customSymbol === 'string' ? raw.customSymbol.trim() : '';
+/**
+ * Build the template context for a user's profile, including the extra layer slots and
+ * the parameter sliders of every layer.
+ * @param {Object} raw - Raw profile from the user flag
+ * @returns {Object}
+ */
+function getSettingsContext(raw) {
+  const settings = normalizeEffectSettings(raw || DEFAULT_SETTINGS);
   return {
-    color: sanitizeColor(raw.color || DEFAULT_SETTINGS.color),
-    effect: AVAILABLE_EFFECTS.includes(raw.effect) ? raw.effect : DEFAULT_SETTINGS.effect,
-    symbol: sanitizeSymbol(customSymbol || raw.symbol || DEFAULT_SETTINGS.symbol),
-    customSymbol,
-    intensity: Number.parseFloat(raw.intensity) || DEFAULT_SETTINGS.intensity,
-    range: Number.parseInt(raw.range, 10) || DEFAULT_SETTINGS.range
+    ...settings,
+    stopSlots: getColorStopSlots(settings),
+    paramFields: getEffectParamContext(settings),
+    extraLayers: getExtraLayerSlots(settings).map(layer => ({ ...layer, paramFields: getEffectParamContext(layer) })),
+    line: normalizeLineStyle(raw?.line),
+    ranges: normalizeRangeBands(raw?.ranges)
+  };
+}
+
+/**
+ * List the fonts offered for targeting line labels: the default plus every font the world defines.
+ * @returns {string[]}
+ */
+function getLabelFonts() {
+  return [...new Set([DEFAULT_LINE_STYLE.font, ...Object.keys(CONFIG.fontDefinitions ?? {})])];
+}
+
+/**
+ * Read and validate the intensity, range, and effect parameters submitted for a layer.
+ * @param {Object} data - Flat form data
+ * @param {string} field - Field prefix for the layer
+ * @param {string} effect - Selected effect type
+ * @param {string} ownerLabel - Label used in validation errors
+ * @returns {{intensity: number, range: number, params: Object<string, number>}}
+ */
+function readLayerParams(data, field, effect, ownerLabel) {
+  return readEffectParams(effect, key => data[`${field}_${key}`], ownerLabel);
+}
+
+/**
+ * Read and validate the gradient mode and color stops submitted for a layer.
+ * @param {Object} data - Flat form data
+ * @param {string} field - Field prefix for the layer
+ * @param {string} ownerLabel - Label used in validation errors
+ * @returns {{gradient: string, colorStops: string[]}}
+ */
+function readGradient(data, field, ownerLabel) {
+  const gradient = data[`${field}_gradient`] || 'none';
+  if (!AVAILABLE_GRADIENTS.includes(gradient)) {
+    throw new Error(`Invalid gradient for ${ownerLabel}`);
+  }
+  if (gradient === 'none') return { gradient, colorStops: [] };
+
+  const colorStops = [];
+  for (let number = 2; number <= MAX_COLOR_STOPS; number++) {
+    if (number > 2 && !data[`${field}_stop${number}_enabled`]) break;
+    const stop = data[`${field}_stop${number}`];
+    if (!/^#[0-9A-F]{6}$/i.test(stop)) {
+      throw new Error(`Invalid gradient stop ${number} for ${ownerLabel}`);
+    }
+    colorStops.push(stop);
+  }
+  return { gradient, colorStops };
+}
+
+/**
+ * Read and validate the stacked layers submitted for a hub row.
+ * @param {Object} data - Flat form data
+ * @param {string} prefix - Field prefix for the row (e.g. `gm`, `coGM_<id>`, `<id>`)
+ * @param {string} ownerLabel - Label used in validation errors
+ * @returns {Array<Object>} Enabled layers after the primary one, in order
+ */
+function readExtraLayers(data, prefix, ownerLabel) {
+  const layers = [];
+  for (let index = 1; index < MAX_EFFECT_LAYERS; index++) {
+    const effect = data[`${prefix}_layer${index}_effect`] || 'none';
+    if (effect === 'none') continue;
+    const field = `${prefix}_layer${index}`;
+    const color = data[`${field}_color`];
+
+    if (!/^#[0-9A-F]{6}$/i.test(color)) {
+      throw new Error(`Invalid layer ${index + 1} color format for ${ownerLabel}`);
+    }
+    if (!AVAILABLE_EFFECTS.includes(effect)) {
+      throw new Error(`Invalid layer ${index + 1} effect for ${ownerLabel}`);
+    }
+    const layerLabel = `layer ${index + 1} of ${ownerLabel}`;
+    layers.push({
+      effect,
+      color,
+      ...readGradient(data, field, ownerLabel),
+      ...readLayerParams(data, field, effect, layerLabel)
+    });
+  }
+  return layers;
+}
+
+/**
+ * Read and validate the animation preset submitted for a hub row.
+ * @param {Object} data - Flat form data
+ * @param {string} prefix - Field prefix for the row
+ * @param {string} ownerLabel - Label used in validation errors
+ * @returns {{animation: string, animationSpeed: number, animationAmplitude: number}}
+ */
+function readAnimation(data, prefix, ownerLabel) {
+  const animation = data[`${prefix}_animation`] || DEFAULT_SETTINGS.animation;
+  const animationSpeed = parseFloat(data[`${prefix}_animationSpeed`]) || DEFAULT_SETTINGS.animationSpeed;
+  const amplitude = parseFloat(data[`${prefix}_animationAmplitude`]);
+  const animationAmplitude = Number.isFinite(amplitude) ? amplitude : DEFAULT_SETTINGS.animationAmplitude;
+
+  if (!AVAILABLE_ANIMATIONS.includes(animation)) {
+    throw new Error(`Invalid animation for ${ownerLabel}`);
+  }
+  if (animationSpeed < 0.25 || animationSpeed > 4) {
+    throw new Error(`Animation speed must be between 0.25 and 4 for ${ownerLabel}`);
+  }
+  if (animationAmplitude < 0 || animationAmplitude > 1) {
+    throw new Error(`Animation amplitude must be between 0 and 1 for ${ownerLabel}`);
+  }
+  return { animation, animationSpeed, animationAmplitude };
+}
+
+/**
+ * Read and validate the scene light toggle and radius submitted for a hub row.
+ * @param {Object} data - Flat form data
+ * @param {string} prefix - Field prefix for the row
+ * @param {string} ownerLabel - Label used in validation errors
+ * @returns {{emitLight: boolean, lightRadius: number}}
+ */
+function readLight(data, prefix, ownerLabel) {
+  const emitLight = Boolean(data[`${prefix}_emitLight`]);
+  const radius = parseFloat(data[`${prefix}_lightRadius`]);
+  const lightRadius = Number.isFinite(radius) ? radius : DEFAULT_SETTINGS.lightRadius;
+  if (lightRadius < 0 || lightRadius > MAX_LIGHT_RADIUS) {
+    throw new Error(`Light radius must be between 0 and ${MAX_LIGHT_RADIUS} for ${ownerLabel}`);
+  }
+  return { emitLight, lightRadius };
+}
+
+/**
+ * Read and validate the targeting line style submitted for a hub row.
+ * @param {Object} data - Flat form data
+ * @param {string} prefix - Field prefix for the row
+ * @param {string} ownerLabel - Label used in validation errors
+ * @returns {Object} Line style with its end label parts, marker label limit, and indicator reticle
+ */
+function readLineStyle(data, prefix, ownerLabel) {
+  const style = data[`${prefix}_lineStyle`] || DEFAULT_LINE_STYLE.style;
+  const arrowhead = data[`${prefix}_arrowhead`] || DEFAULT_LINE_STYLE.arrowhead;
+  if (!LINE_STYLES.includes(style)) {
+    throw new Error(`Invalid line style for ${ownerLabel}`);
+  }
+  if (!ARROWHEAD_SHAPES.includes(arrowhead)) {
+    throw new Error(`Invalid arrowhead for ${ownerLabel}`);
+  }
+  const reticle = data[`${prefix}_reticle`] || DEFAULT_LINE_STYLE.reticle;
+  if (!RETICLE_STYLES.includes(reticle)) {
+    throw new Error(`Invalid reticle for ${ownerLabel}`);
+  }
+  const read = (field, key, label) => {
+    const value = parseFloat(data[`${prefix}_${field}`]);
+    const { min, max } = LINE_STYLE_LIMITS[key];
+    if (!Number.isFinite(value)) return DEFAULT_LINE_STYLE[key];
+    if (value < min || value > max) {
+      throw new Error(`${label} must be between ${min} and ${max} for ${ownerLabel}`);
+    }
+    return value;
+  };
+  return {
+    style,
+    width: read('lineWidth', 'width', 'Line width'),
+    opacity: read('lineOpacity', 'opacity', 'Line opacity'),
+    arrowhead,
+    font: String(data[`${prefix}_labelFont`] || DEFAULT_LINE_STYLE.font).trim(),
+    fontSize: read('labelSize', 'fontSize', 'Label size'),
+    labelName: Boolean(data[`${prefix}_labelName`]),
+    labelDistance: Boolean(data[`${prefix}_labelDistance`]),
+    labelElevation: Boolean(data[`${prefix}_labelElevation`]),
+    label3d: Boolean(data[`${prefix}_label3d`]),
+    markerLabelLimit: Math.round(read('markerLabelLimit', 'markerLabelLimit', 'Marker label limit')),
+    reticle
   };
 }
 
+/**
+ * Read and validate the targeting range bands submitted for a hub row.
+ * @param {Object} data - Flat form data
+ * @param {string} prefix - Field prefix for the row
+ * @param {string} ownerLabel - Label used in validation errors
+ * @returns {{normal: number, long: number, normalPath: string, longPath: string}}
+ */
+function readRangeBands(data, prefix, ownerLabel) {
+  const read = (field, label) => {
+    const value = parseFloat(data[`${prefix}_${field}`]);
+    if (!Number.isFinite(value)) return 0;
+    if (value < 0) {
+      throw new Error(`${label} cannot be negative for ${ownerLabel}`);
+    }
+    return value;
+  };
+  const normal = read('rangeNormal', 'Normal range');
+  const long = read('rangeLong', 'Long range');
+  if (long && long < normal) {
+    throw new Error(`Long range must not be shorter than normal range for ${ownerLabel}`);
+  }
+  return {
+    normal,
+    long,
+    normalPath: String(data[`${prefix}_rangeNormalPath`] || '').trim(),
+    longPath: String(data[`${prefix}_rangeLongPath`] || '').trim()
+  };
+}
+
+/**
+ * Build the hub rows for the disposition palette.
+ * @returns {Array<Object>}
+ */
+function getDispositionRows() {
+  const palette = normalizeDispositionPalette(game.settings.get(MODULE_ID, 'dispositionPalette'));
+  return AVAILABLE_DISPOSITIONS.map(disposition => ({
+    key: disposition,
+    prefix: `disposition_${disposition}`,
+    label: localize(`rnk-illumination.ui.hub.dispositions.${disposition}`),
+    settings: getSettingsContext(palette[disposition])
+  }));
+}
+
+/**
+ * Read and validate a symbol-less effect profile submitted for a hub row.
+ * @param {Object} data - Flat form data
+ * @param {string} prefix - Field prefix for the row
+ * @param {string} ownerLabel - Label used in validation errors
+ * @returns {Object} Effect profile
+ */
+function readProfile(data, prefix, ownerLabel) {
+  const color = data[`${prefix}_color`];
+  const effect = data[`${prefix}_effect`];
+
+  if (!/^#[0-9A-F]{6}$/i.test(color)) {
+    throw new Error(`Invalid color format for ${ownerLabel}`);
+  }
+  if (!AVAILABLE_EFFECTS.includes(effect)) {
+    throw new Error(`Invalid effect for ${ownerLabel}`);
+  }
+
+  const primary = {
+    effect,
+    color,
+    ...readGradient(data, prefix, ownerLabel),
+    ...readLayerParams(data, prefix, effect, ownerLabel)
+  };
+  return {
+    ...primary,
+    ...readAnimation(data, prefix, ownerLabel),
+    ...readLight(data, prefix, ownerLabel),
+    layers: [primary, ...readExtraLayers(data, prefix, ownerLabel)]
+  };
+}
+
+/**
+ * Read and validate the disposition palette profiles submitted from the hub.
+ * @param {Object} data - Flat form data
+ * @returns {Object<string, Object>} Profile per disposition
+ */
+function readDispositionPalette(data) {
+  const palette = {};
+  for (const disposition of AVAILABLE_DISPOSITIONS) {
+    palette[disposition] = readProfile(data, `disposition_${disposition}`, `${disposition} disposition`);
+  }
+  return palette;
+}
+
+/**
+ * Build the hub context for the combat spotlight profiles.
+ * @returns {{enabled: boolean, roles: Array<Object>}}
+ */
+function getCombatSpotlightContext() {
+  const spotlight = normalizeCombatSpotlight(game.settings.get(MODULE_ID, 'combatSpotlight'));
+  return {
+    enabled: spotlight.enabled,
+    roles: COMBAT_ROLES.map(role => ({
+      key: role,
+      prefix: `combat_${role}`,
+      label: localize(`rnk-illumination.ui.hub.combatRoles.${role}`),
+      settings: getSettingsContext(spotlight[role])
+    }))
+  };
+}
+
+/**
+ * Build the hub context for the door state profiles.
+ * @returns {{enabled: boolean, states: Array<Object>}}
+ */
+function getDoorProfilesContext() {
+  const profiles = normalizeDoorProfiles(game.settings.get(MODULE_ID, 'doorProfiles'));
+  return {
+    enabled: profiles.enabled,
+    states: DOOR_STATES.map(state => ({
+      key: state,
+      prefix: `door_${state}`,
+      label: localize(`rnk-illumination.ui.hub.doorStates.${state}`),
+      settings: getSettingsContext(profiles[state])
+    }))
+  };
+}
+
+/**
+ * Read and validate the door state profiles submitted from the hub.
+ * @param {Object} data - Flat form data
+ * @returns {Object} Door profiles
+ */
+function readDoorProfiles(data) {
+  const profiles = { enabled: Boolean(data.doorProfilesEnabled) };
+  for (const state of DOOR_STATES) {
+    profiles[state] = readProfile(data, `door_${state}`, `${state} door`);
+  }
+  return profiles;
+}
+
+/**
+ * Read and validate the combat spotlight profiles submitted from the hub.
+ * @param {Object} data - Flat form data
+ * @returns {Object} Spotlight settings
+ */
+function readCombatSpotlight(data) {
+  const spotlight = { enabled: Boolean(data.combatSpotlightEnabled) };
+  for (const role of COMBAT_ROLES) {
+    spotlight[role] = readProfile(data, `combat_${role}`, `${role} combat spotlight`);
+  }
+  return spotlight;
+}
+
+/**
+ * Build the hub cards for the illumination rules.
+ * @returns {Array<Object>}
+ */
+function getRuleRows() {
+  return normalizeRules(game.settings.get(MODULE_ID, 'illuminationRules')).map((rule, index) => ({
+    ...rule,
+    prefix: `rule_${index}`,
+    settings: getSettingsContext(rule.profile)
+  }));
+}
+
+/**
+ * Read and validate the illumination rules submitted from the hub rules tab.
+ * Rule cards are numbered in display order; removed cards leave gaps in the numbering.
+ * @param {Object} data - Flat form data
+ * @returns {Array<Object>} Rules
+ */
+function readRules(data) {
+  const indices = Object.keys(data)
+    .map(key => key.match(/^rule_(\d+)_type$/)?.[1])
+    .filter(Boolean)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  return indices.map(index => {
+    const prefix = `rule_${index}`;
+    const name = (data[`${prefix}_name`] || '').trim();
+    const ownerLabel = `rule ${name || index + 1}`;
+    const type = data[`${prefix}_type`];
+    const match = (data[`${prefix}_match`] || '').trim();
+    const path = (data[`${prefix}_path`] || '').trim();
+    const divisorPath = (data[`${prefix}_divisorPath`] || '').trim();
+    const operator = data[`${prefix}_operator`];
+    const value = String(data[`${prefix}_value`] ?? '').trim();
+    const priority = parseInt(data[`${prefix}_priority`]) || 0;
+
+    if (!AVAILABLE_RULE_TYPES.includes(type)) {
+      throw new Error(`Invalid type for ${ownerLabel}`);
+    }
+    if (type !== 'attribute' && !match) {
+      throw new Error(`Missing status or effect to match for ${ownerLabel}`);
+    }
+    if (type === 'attribute') {
+      if (!path) throw new Error(`Missing data path for ${ownerLabel}`);
+      if (!RULE_OPERATORS.includes(operator)) throw new Error(`Invalid comparison for ${ownerLabel}`);
+    }
+
+    return {
+      id: data[`${prefix}_id`] || foundry.utils.randomID(),
+      name,
+      enabled: Boolean(data[`${prefix}_enabled`]),
+      type,
+      match,
+      path,
+      divisorPath,
+      operator,
+      value,
+      priority,
+      profile: readProfile(data, prefix, ownerLabel)
+    };
+  });
+}
+
+function getStatusEffectOptions() {
+  const statusEffects = Array.isArray(CONFIG?.statusEffects) ? CONFIG.statusEffects : [];
+  return statusEffects
+    .filter(status => status?.id)
+    .map(status => ({ id: status.id, name: localize(status.name ?? status.label ?? status.id) }));
+}
+
 function getObjectLayerLabel(layerKey) {
   switch (layerKey) {
     case 'tiles': return 'Tile';
     case 'drawings': return 'Drawing';
     case 'walls': return 'Wall';
     case 'lighting': return 'Ambient Light';
+    case 'regions': return 'Region';
+    case 'notes': return 'Note';
+    case 'templates': return 'Measured Template';
+    case 'sounds': return 'Ambient Sound';
     default: return 'Object';
   }
 }
@@ -87,18 +514,25 @@ function getConfiguredObjects() {
     ['tiles', canvas?.tiles?.placeables],
     ['drawings', canvas?.drawings?.placeables],
     ['walls', canvas?.walls?.placeables],
-    ['lighting', canvas?.lighting?.placeables]
+    ['lighting', canvas?.lighting?.placeables],
+    ['regions', canvas?.regions?.placeables],
+    ['notes', canvas?.notes?.placeables],
+    ['templates', canvas?.templates?.placeables],
+    ['sounds', canvas?.sounds?.placeables]
   ];
 
-  return layers.flatMap(([layerKey, placeables]) => {
+  const objects = layers.flatMap(([layerKey, placeables]) => {
     if (!Array.isArray(placeables)) return [];
     return placeables.map(placeable => {
       const settings = getPlaceableSettings(placeable);
       if (!settings) return null;
+      const doorState = layerKey === 'walls' ? getDoorState(placeable) : null;
       return {
         id: placeable.id,
         layerKey,
         layerLabel: getObjectLayerLabel(layerKey),
+        wallType: layerKey === 'walls' ? localize(`rnk-illumination.ui.hub.wallTypes.${getWallType(placeable)}`) : null,
+        doorState: doorState ? localize(`rnk-illumination.ui.hub.doorStates.${doorState}`) : null,
         name: placeable.name || placeable.document?.name || placeable.document?.documentName || placeable.id,
         settings,
         color: settings.color,
@@ -109,6 +543,25 @@ function getConfiguredObjects() {
       };
     }).filter(Boolean);
   });
+
+  // Illumination zones are region behaviors rather than flags, and are edited in the behavior sheet
+  const zones = getIlluminationZones(canvas?.scene?.regions).map(({ region, behavior }) => {
+    const settings = getZoneProfile(behavior);
+    return {
+      id: region.id,
+      behaviorId: behavior.id,
+      layerKey: 'regions',
+      layerLabel: localize('rnk-illumination.zone.label'),
+      name: `${region.name || region.id}: ${behavior.name || localize('rnk-illumination.zone.label')}`,
+      settings,
+      color: settings.color,
+      effect: settings.effect,
+      symbol: settings.symbol,
+      intensity: settings.intensity,
+      range: settings.range
+    };
+  });
+  return [...objects, ...zones];
 }
 
 /**
@@ -140,7 +593,30 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
   };
 
   static PARTS = {
-    form: { template: 'modules/rnk-illumination/templates/gm-hub.html' }
+    form: {
+      template: 'modules/rnk-illumination/templates/gm-hub.html',
+      templates: [
+        'modules/rnk-illumination/templates/partials/animation-controls.html',
+        'modules/rnk-illumination/templates/partials/color-stops.html',
+        'modules/rnk-illumination/templates/partials/effect-layers.html',
+        'modules/rnk-illumination/templates/partials/effect-params.html',
+        'modules/rnk-illumination/templates/partials/light-controls.html',
+        'modules/rnk-illumination/templates/partials/line-style.html',
+        'modules/rnk-illumination/templates/partials/profile-fields.html',
+        'modules/rnk-illumination/templates/partials/range-bands.html',
+        'modules/rnk-illumination/templates/partials/rule-card.html'
+      ]
+    }
+  };
+
+  static TABS = {
+    primary: {
+      tabs: [
+        { id: 'profiles', icon: 'fa-solid fa-palette', label: 'rnk-illumination.ui.hub.tabs.profiles' },
+        { id: 'rules', icon: 'fa-solid fa-list-check', label: 'rnk-illumination.ui.hub.tabs.rules' }
+      ],
+      initial: 'profiles'
+    }
   };
 
   /**
@@ -163,12 +639,25 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
       return {
         gmUsers: [],
         users: [],
-        gmSettings: { ...DEFAULT_SETTINGS },
+        gmSettings: getSettingsContext(DEFAULT_SETTINGS),
         targetingEnabled: DEFAULT_TARGETING_ENABLED,
+        lineVisibility: 'tokens',
+        lineVisibilityModes: LINE_VISIBILITY_MODES,
+        markerInterval: 0,
+        lineMeasurement: 'center',
+        lineMeasurementModes: LINE_MEASUREMENT_MODES,
+        dispositions: [],
+        rules: [],
         configuredObjects: [],
         effects: AVAILABLE_EFFECTS,
+        animations: AVAILABLE_ANIMATIONS,
+        gradients: AVAILABLE_GRADIENTS,
         symbols: AVAILABLE_SYMBOLS,
-        ranges: AVAILABLE_RANGES
+        lineStyles: LINE_STYLES,
+        arrowheads: ARROWHEAD_SHAPES,
+        reticles: RETICLE_STYLES,
+        labelFonts: [DEFAULT_LINE_STYLE.font],
+        maxLightRadius: MAX_LIGHT_RADIUS
       };
     }
 
@@ -192,20 +681,12 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
     const coGMUsers = game.users
       .filter(u => u.id !== game.user.id && this._isCoGM(u))
       .map(user => {
-        const settings = user.getFlag(MODULE_ID, 'settings') || { ...DEFAULT_SETTINGS };
         return {
           id: user.id,
           name: user.name,
           avatar: user.avatar,
           assignedToken: user.getFlag(MODULE_ID, 'assignedTokenId') || '',
-          settings: {
-            color: sanitizeColor(settings.color),
-            effect: settings.effect || DEFAULT_SETTINGS.effect,
-            symbol: sanitizeSymbol(settings.symbol),
-            intensity: settings.intensity || DEFAULT_SETTINGS.intensity,
-            range: settings.range || DEFAULT_SETTINGS.range,
-            customSymbol: settings.customSymbol || ''
-          }
+          settings: getSettingsContext(user.getFlag(MODULE_ID, 'settings'))
         };
       });
 
@@ -220,7 +701,6 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
     const users = game.users
       .filter(u => u.id !== game.user.id && !coGMIds.has(u.id))
       .map(user => {
-        const settings = user.getFlag(MODULE_ID, 'settings') || { ...DEFAULT_SETTINGS };
         return {
           id: user.id,
           name: user.name,
@@ -229,19 +709,12 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
           isGM: user.isGM,
           isCoGM: !user.isGM && this._isCoGM(user),
           assignedToken: user.getFlag(MODULE_ID, 'assignedTokenId') || '',
-          settings: {
-            color: sanitizeColor(settings.color),
-            effect: settings.effect || DEFAULT_SETTINGS.effect,
-            symbol: sanitizeSymbol(settings.symbol),
-            intensity: settings.intensity || DEFAULT_SETTINGS.intensity,
-            range: settings.range || DEFAULT_SETTINGS.range,
-            customSymbol: settings.customSymbol || ''
-          }
+          settings: getSettingsContext(user.getFlag(MODULE_ID, 'settings'))
         };
       });
 
     const gmUser = game.user;
-    const gmSettings = gmUser.getFlag(MODULE_ID, 'settings') || { ...DEFAULT_SETTINGS };
+    const gmSettings = getSettingsContext(gmUser.getFlag(MODULE_ID, 'settings'));
     const gmAssignedToken = gmUser.getFlag(MODULE_ID, 'assignedTokenId') || '';
     const configuredObjects = getConfiguredObjects();
 
@@ -256,23 +729,36 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
         assignedToken: gmAssignedToken
       },
       targetingEnabled: game.settings.get(MODULE_ID, 'targetingEnabled') ?? DEFAULT_TARGETING_ENABLED,
+      lineVisibility: game.settings.get(MODULE_ID, 'lineVisibility'),
+      lineVisibilityModes: LINE_VISIBILITY_MODES,
+      markerInterval: game.settings.get(MODULE_ID, 'markerInterval'),
+      lineMeasurement: game.settings.get(MODULE_ID, 'lineMeasurement'),
+      lineMeasurementModes: LINE_MEASUREMENT_MODES,
+      dispositions: getDispositionRows(),
+      combatSpotlight: getCombatSpotlightContext(),
+      doorProfiles: getDoorProfilesContext(),
+      tabs: this._prepareTabs('primary'),
+      rules: getRuleRows(),
+      ruleTypes: AVAILABLE_RULE_TYPES,
+      ruleOperators: RULE_OPERATORS,
+      statusEffects: getStatusEffectOptions(),
+      newRule: { ...normalizeRules([{}])[0], id: '', prefix: 'rule___index__', settings: getSettingsContext(DEFAULT_SETTINGS) },
       configuredObjects,
       gmUsers: gmUsers,
       coGMUsers: coGMUsers,
       users: users,
       tokens: tokens,
       isCurrentUserGM: isCurrentUserGM,
-      gmSettings: {
-        color: sanitizeColor(gmSettings.color),
-        effect: gmSettings.effect || DEFAULT_SETTINGS.effect,
-        symbol: sanitizeSymbol(gmSettings.symbol),
-        intensity: gmSettings.intensity || DEFAULT_SETTINGS.intensity,
-        range: gmSettings.range || DEFAULT_SETTINGS.range,
-        customSymbol: gmSettings.customSymbol || ''
-      },
+      gmSettings,
       effects: AVAILABLE_EFFECTS,
+      animations: AVAILABLE_ANIMATIONS,
+      gradients: AVAILABLE_GRADIENTS,
       symbols: AVAILABLE_SYMBOLS,
-      ranges: AVAILABLE_RANGES
+      lineStyles: LINE_STYLES,
+      arrowheads: ARROWHEAD_SHAPES,
+      reticles: RETICLE_STYLES,
+      labelFonts: getLabelFonts(),
+      maxLightRadius: MAX_LIGHT_RADIUS
     };
   }
 
@@ -321,6 +807,12 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
         ev.stopPropagation();
         const layerKey = btn.dataset.layer;
         const objectId = btn.dataset.objectId;
+        if (btn.dataset.behaviorId) {
+          const behavior = canvas?.scene?.regions?.get(objectId)?.behaviors?.get(btn.dataset.behaviorId);
+          if (behavior) behavior.sheet.render(true);
+          else ui.notifications.warn(localize('rnk-illumination.notifications.objectNotFound'));
+          return;
+        }
         const placeable = resolvePlaceable(layerKey, objectId);
         if (!placeable) {
           ui.notifications.warn(localize('rnk-illumination.notifications.objectNotFound'));
@@ -338,6 +830,13 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
         ev.stopPropagation();
         const layerKey = btn.dataset.layer;
         const objectId = btn.dataset.objectId;
+        if (btn.dataset.behaviorId) {
+          // Zones are disabled rather than deleted, so they can be switched back on from the region
+          const behavior = canvas?.scene?.regions?.get(objectId)?.behaviors?.get(btn.dataset.behaviorId);
+          await behavior?.update({ disabled: true });
+          app.render({ force: true });
+          return;
+        }
         const placeable = resolvePlaceable(layerKey, objectId);
         if (!placeable?.document?.unsetFlag) return;
         await placeable.document.unsetFlag(MODULE_ID, 'illuminationSettings');
@@ -348,6 +847,43 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
       });
     });
 
+    bindEffectParamControls(this.element);
+
+    const bindRuleCard = (card) => {
+      const typeSelect = card.querySelector('.rnk-illumination-rule-type');
+      typeSelect?.addEventListener('change', () => {
+        card.dataset.ruleType = typeSelect.value;
+      });
+      card.querySelector('[data-rnk-illumination-rule-delete]')?.addEventListener('click', (ev) => {
+        ev.preventDefault();
+        card.remove();
+      });
+    };
+    const ruleList = this.element.querySelector('.rnk-illumination-rule-list');
+    ruleList?.querySelectorAll('.rnk-illumination-rule-card').forEach(bindRuleCard);
+
+    // New rule cards are cloned from a template and numbered after the highest existing card
+    this.element.querySelector('[data-rnk-illumination-rule-add]')?.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      const template = this.element.querySelector('.rnk-illumination-rule-template');
+      if (!template || !ruleList) return;
+      const used = Array.from(ruleList.querySelectorAll('.rnk-illumination-rule-card'))
+        .map(card => Number(card.dataset.ruleIndex));
+      const index = used.length ? Math.max(...used) + 1 : 0;
+      const fragment = template.content.cloneNode(true);
+      const card = fragment.querySelector('.rnk-illumination-rule-card');
+      card.dataset.ruleIndex = String(index);
+      card.querySelectorAll('[name]').forEach(input => {
+        input.name = input.name.replace('__index__', String(index));
+      });
+      card.querySelectorAll('[data-effect-select]').forEach(container => {
+        container.dataset.effectSelect = container.dataset.effectSelect.replace('__index__', String(index));
+      });
+      ruleList.appendChild(fragment);
+      bindRuleCard(card);
+      bindEffectParamControls(card);
+    });
+
     const searchInput = this.element.querySelector('.rnk-illumination-object-search');
     const layerFilter = this.element.querySelector('.rnk-illumination-object-layer-filter');
     const objectCards = Array.from(this.element.querySelectorAll('.rnk-object-card'));
@@ -408,9 +944,7 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
     try {
       const data = formData.object;
       const gmColor = data.gmColor;
-      const gmEffect = data.gmEffect;
-      const gmIntensity = parseFloat(data.gmIntensity) || DEFAULT_SETTINGS.intensity;
-      const gmRange = parseInt(data.gmRange) || DEFAULT_SETTINGS.range;
+      const gmEffect = data.gmEffect;
       const gmCustomSymbol = (data.gmCustomSymbol || '').trim();
       let gmSymbol = gmCustomSymbol || data.gmSymbol || DEFAULT_SETTINGS.symbol;
 
@@ -423,36 +957,47 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
       if (!isValidSymbol(gmSymbol)) {
         throw new Error("Invalid GM symbol");
       }
-      if (gmIntensity < 0.1 || gmIntensity > 3.0) {
-        throw new Error("GM intensity must be between 0.1 and 3.0");
-      }
-      if (!AVAILABLE_RANGES.includes(gmRange)) {
-        throw new Error("Invalid GM range");
-      }
+      const gmPrimary = {
+        effect: gmEffect,
+        color: gmColor,
+        ...readGradient(data, 'gm', 'GM'),
+        ...readLayerParams(data, 'gm', gmEffect, 'GM')
+      };
       const gmSettings = { 
-        color: gmColor, 
-        effect: gmEffect, 
+        ...gmPrimary,
         symbol: gmSymbol,
-        intensity: gmIntensity,
-        range: gmRange
+        ...readAnimation(data, 'gm', 'GM'),
+        ...readLight(data, 'gm', 'GM'),
+        line: readLineStyle(data, 'gm', 'GM'),
+        ranges: readRangeBands(data, 'gm', 'GM'),
+        layers: [gmPrimary, ...readExtraLayers(data, 'gm', 'GM')]
       };
-      await game.user.setFlag(MODULE_ID, 'settings', gmSettings);
-      const gmAssignedToken = data.gmToken || null;
-      await syncAssignedToken(game.user, gmAssignedToken);
+      // Everything is read and validated before anything is saved, so a bad field leaves
+      // the saved settings untouched instead of half applied
+      const userUpdates = [{ user: game.user, settings: gmSettings, assignedToken: data.gmToken || null }];
       const targetingEnabled = Boolean(data.targetingEnabled);
-      await game.settings.set(MODULE_ID, 'targetingEnabled', targetingEnabled);
-
-      clearTargetingLines();
-      if (targetingEnabled) {
-        game.users.forEach(user => {
-          user.targets.forEach(target => {
-            const settings = getUserTargetingSettings(user);
-            drawTargetingLine(user, target, settings.color, settings.symbol);
-          });
-        });
+      if (!LINE_VISIBILITY_MODES.includes(data.lineVisibility)) {
+        throw new Error("Invalid targeting line visibility");
+      }
+      const markerInterval = Number.parseFloat(data.markerInterval) || 0;
+      if (markerInterval < 0) {
+        throw new Error("Marker interval cannot be negative");
       }
+      if (!LINE_MEASUREMENT_MODES.includes(data.lineMeasurement)) {
+        throw new Error("Invalid targeting line measurement");
+      }
+      const worldSettings = {
+        targetingEnabled,
+        lineVisibility: data.lineVisibility,
+        markerInterval,
+        lineMeasurement: data.lineMeasurement,
+        dispositionPalette: readDispositionPalette(data),
+        combatSpotlight: readCombatSpotlight(data),
+        doorProfiles: readDoorProfiles(data),
+        illuminationRules: readRules(data)
+      };
 
-      // Save Co-GM settings from their dedicated control rows
+      // Read Co-GM settings from their dedicated control rows
       const coGMUserObjs = game.users.filter(u => u.id !== game.user.id && isCoGM(u));
       const coGMIdSet = new Set();
       for (const user of coGMUserObjs) {
@@ -461,8 +1006,6 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
         coGMIdSet.add(user.id);
 
         const coEffect = data[`coGM_${user.id}_effect`];
-        const coIntensity = parseFloat(data[`coGM_${user.id}_intensity`]) || DEFAULT_SETTINGS.intensity;
-        const coRange = parseInt(data[`coGM_${user.id}_range`]) || DEFAULT_SETTINGS.range;
         const coCustomSymbol = (data[`coGM_${user.id}_customSymbol`] || '').trim();
         const coSymbol = coCustomSymbol || data[`coGM_${user.id}_symbol`] || DEFAULT_SETTINGS.symbol;
         const coAssignedToken = data[`coGM_${user.id}_token`] || '';
@@ -476,24 +1019,25 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
         if (!isValidSymbol(coSymbol)) {
           throw new Error(`Invalid symbol for Co-GM ${user.name}`);
         }
-        if (coIntensity < 0.1 || coIntensity > 3.0) {
-          throw new Error(`Intensity out of range for Co-GM ${user.name}`);
-        }
-        if (!AVAILABLE_RANGES.includes(coRange)) {
-          throw new Error(`Invalid range for Co-GM ${user.name}`);
-        }
 
+        const coPrimary = {
+          effect: coEffect,
+          color: coColor,
+          ...readGradient(data, `coGM_${user.id}`, `Co-GM ${user.name}`),
+          ...readLayerParams(data, `coGM_${user.id}`, coEffect, `Co-GM ${user.name}`)
+        };
         const coSettings = {
-          color: coColor,
-          effect: coEffect,
+          ...coPrimary,
           symbol: coSymbol,
-          intensity: coIntensity,
-          range: coRange,
-          customSymbol: coCustomSymbol || ''
+          customSymbol: coCustomSymbol || '',
+          ...readAnimation(data, `coGM_${user.id}`, `Co-GM ${user.name}`),
+          ...readLight(data, `coGM_${user.id}`, `Co-GM ${user.name}`),
+          line: readLineStyle(data, `coGM_${user.id}`, `Co-GM ${user.name}`),
+          ranges: readRangeBands(data, `coGM_${user.id}`, `Co-GM ${user.name}`),
+          layers: [coPrimary, ...readExtraLayers(data, `coGM_${user.id}`, `Co-GM ${user.name}`)]
         };
 
-        await user.setFlag(MODULE_ID, 'settings', coSettings);
-        await syncAssignedToken(user, coAssignedToken || null);
+        userUpdates.push({ user, settings: coSettings, assignedToken: coAssignedToken || null });
       }
 
       // Only the actual GM can promote/demote Co-GMs.
@@ -506,8 +1050,6 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
       for (const user of editableUsers) {
         const color = data[`${user.id}_color`];
         const effect = data[`${user.id}_effect`];
-        const intensity = parseFloat(data[`${user.id}_intensity`]) || DEFAULT_SETTINGS.intensity;
-        const range = parseInt(data[`${user.id}_range`]) || DEFAULT_SETTINGS.range;
         const customSymbol = (data[`${user.id}_customSymbol`] || '').trim();
         const symbol = customSymbol || data[`${user.id}_symbol`];
         const assignedToken = data[`token_${user.id}`] || '';
@@ -522,25 +1064,44 @@ export class RNKGMHub extends HandlebarsApplicationMixin(ApplicationV2) {
         if (!isValidSymbol(symbol)) {
           throw new Error(`Invalid symbol for user ${user.name}`);
         }
-        if (intensity < 0.1 || intensity > 3.0) {
-          throw new Error(`Intensity out of range for user ${user.name}`);
-        }
-        if (!AVAILABLE_RANGES.includes(range)) {
-          throw new Error(`Invalid range for user ${user.name}`);
-        }
 
+        const primary = {
+          effect,
+          color,
+          ...readGradient(data, user.id, `user ${user.name}`),
+          ...readLayerParams(data, user.id, effect, `user ${user.name}`)
+        };
         const settings = {
-          color: color,
-          effect: effect,
+          ...primary,
           symbol: symbol,
-          intensity: intensity,
-          range: range,
-          customSymbol: customSymbol || ''
+          customSymbol: customSymbol || '',
+          ...readAnimation(data, user.id, `user ${user.name}`),
+          ...readLight(data, user.id, `user ${user.name}`),
+          line: readLineStyle(data, user.id, `user ${user.name}`),
+          ranges: readRangeBands(data, user.id, `user ${user.name}`),
+          layers: [primary, ...readExtraLayers(data, user.id, `user ${user.name}`)]
         };
 
+        userUpdates.push({ user, settings, coGM, assignedToken: assignedToken || null });
+      }
+
+      for (const [key, value] of Object.entries(worldSettings)) {
+        await game.settings.set(MODULE_ID, key, value);
+      }
+      for (const { user, settings, coGM, assignedToken } of userUpdates) {
         await user.setFlag(MODULE_ID, 'settings', settings);
-        await user.setFlag(MODULE_ID, 'coGM', coGM);
-        await syncAssignedToken(user, assignedToken || null);
+        if (coGM !== undefined) await user.setFlag(MODULE_ID, 'coGM', coGM);
+        await syncAssignedToken(user, assignedToken);
+      }
+
+      clearTargetingLines();
+      if (targetingEnabled) {
+        game.users.forEach(user => {
+          user.targets.forEach(target => {
+            const settings = getUserTargetingSettings(user);
+            drawTargetingLine(user, target, settings.color, settings.symbol);
+          });
+        });
       }
 
       ui.notifications.info(localize('rnk-illumination.notifications.settingsUpdated'));
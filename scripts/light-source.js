@@ -0,0 +1,149 @@
+/**
+ * RNK™ Illumination - Scene Light Sources
+ */
+
+import { getRegionBounds, isRegion } from './regions.js';
+
+// Foundry light animations standing in for each profile animation preset
+const LIGHT_ANIMATIONS = {
+  pulse: 'pulse',
+  breathe: 'pulse',
+  heartbeat: 'pulse',
+  flicker: 'torch',
+  strobe: 'flame',
+  'hue-cycle': 'chroma',
+  chase: 'revolving'
+};
+
+// Light sources created by the module, keyed by placeable ID
+const _lightSources = new Map();
+
+function getSourceId(placeable) {
+  const documentName = placeable.document?.documentName ?? 'Placeable';
+  return `rnk-illumination.${documentName}.${placeable.id}`;
+}
+
+function getLightCenter(placeable) {
+  if (isRegion(placeable)) {
+    const bounds = getRegionBounds(placeable);
+    if (bounds) return { x: bounds.x + bounds.w / 2, y: bounds.y + bounds.h / 2 };
+  }
+  if (placeable.center) return placeable.center;
+  const doc = placeable.document;
+  const w = placeable.w ?? doc?.width ?? 0;
+  const h = placeable.h ?? doc?.height ?? 0;
+  return { x: (placeable.x ?? doc?.x ?? 0) + w / 2, y: (placeable.y ?? doc?.y ?? 0) + h / 2 };
+}
+
+/**
+ * Build the Foundry light data for a profile: radius in scene units, the profile's primary
+ * color, and a light animation matching its animation preset.
+ * @param {object} placeable
+ * @param {Object} settings - Normalized profile with emitLight enabled
+ * @returns {Object} Light source data
+ */
+function getLightData(placeable, settings) {
+  const { x, y } = getLightCenter(placeable);
+  const distancePixels = canvas.dimensions.distancePixels ?? (canvas.dimensions.size / canvas.dimensions.distance);
+  const dim = Math.max(0, Number(settings.lightRadius) || 0) * distancePixels;
+  const intensity = Number(settings.intensity) || 1;
+  const animationType = LIGHT_ANIMATIONS[settings.animation] ?? null;
+  // Regions store their elevation as a bottom and top range
+  const elevation = placeable.document?.elevation;
+  return {
+    x,
+    y,
+    elevation: Number.isFinite(elevation) ? elevation : (Number.isFinite(elevation?.bottom) ? elevation.bottom : 0),
+    dim,
+    bright: dim / 2,
+    radius: dim,
+    color: settings.color,
+    alpha: Math.min(1, 0.5 * intensity),
+    walls: true,
+    vision: false,
+    animation: animationType ? {
+      type: animationType,
+      speed: Math.clamp(Math.round((Number(settings.animationSpeed) || 1) * 5), 1, 10),
+      intensity: Math.clamp(Math.round((Number(settings.animationAmplitude) || 0.5) * 10), 1, 10)
+    } : { type: null }
+  };
+}
+
+function refreshPerception() {
+  canvas.perception?.update({ refreshLighting: true, refreshVision: true });
+}
+
+/**
+ * Make a placeable cast a Foundry light for its profile, or remove the light when the profile
+ * is gone or does not emit light. The light is re-initialized only when its data changes.
+ * @param {object} placeable - Token, tile, or other placeable
+ * @param {Object|null} settings - Resolved profile
+ */
+export function updateLightSource(placeable, settings) {
+  // Drag previews share their token's ID; the light stays with the token until it moves
+  if (!placeable?.id || placeable.isPreview) return;
+  if (!settings?.emitLight || !(Number(settings.lightRadius) > 0) || !canvas?.ready) {
+    removeLightSource(placeable);
+    return;
+  }
+
+  try {
+    const data = getLightData(placeable, settings);
+    const signature = JSON.stringify(data);
+    let entry = _lightSources.get(placeable.id);
+    if (entry && entry.signature === signature && canvas.effects.lightSources.has(entry.source.sourceId)) return;
+
+    if (!entry) {
+      const LightSource = CONFIG.Canvas.lightSourceClass;
+      const source = new LightSource({ object: placeable, sourceId: getSourceId(placeable) });
+      entry = { source, signature: null };
+      _lightSources.set(placeable.id, entry);
+    }
+    entry.source.initialize(data);
+    entry.signature = signature;
+    if (!canvas.effects.lightSources.has(entry.source.sourceId)) entry.source.add();
+    refreshPerception();
+  } catch (err) {
+    console.error('RNK™ Illumination | Failed to update light source', err);
+  }
+}
+
+/**
+ * Remove the light a placeable casts for its profile.
+ * @param {object} placeable
+ */
+export function removeLightSource(placeable) {
+  const entry = placeable?.id && !placeable.isPreview ? _lightSources.get(placeable.id) : null;
+  if (!entry) return;
+  _lightSources.delete(placeable.id);
+  try {
+    entry.source.destroy();
+    refreshPerception();
+  } catch (err) {
+    console.error('RNK™ Illumination | Failed to remove light source', err);
+  }
+}
+
+/**
+ * Put module lights back after Foundry re-initializes the scene's light sources, e.g. when walls change.
+ */
+export function restoreLightSources() {
+  _lightSources.forEach(entry => {
+    try {
+      entry.source.initialize();
+      if (!canvas.effects.lightSources.has(entry.source.sourceId)) entry.source.add();
+    } catch (err) {
+      console.error('RNK™ Illumination | Failed to restore light source', err);
+    }
+  });
+}
+
+/**
+ * Destroy every module light. Called when the canvas is torn down.
+ */
+export function clearLightSources() {
+  _lightSources.forEach(entry => {
+    try { entry.source.destroy(); } catch (err) { /* ignore */ }
+  });
+  _lightSources.clear();
+}
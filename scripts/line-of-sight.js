@@ -0,0 +1,84 @@
+/**
+ * RNK™ Illumination - Targeting Line of Sight
+ */
+
+// Pieces a curved line is split into for wall tests
+const CURVE_PIECES = 16;
+// How far the sampled corners sit inside a token's bounds, in pixels, so walls along an edge do not count
+const CORNER_INSET = 2;
+
+/**
+ * Find where a sight-blocking wall first crosses a straight stretch.
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @returns {{x: number, y: number}|null} The collision point, or null when the stretch is clear
+ */
+function testSightCollision(from, to) {
+  const backend = CONFIG.Canvas?.polygonBackends?.sight;
+  if (typeof backend?.testCollision !== 'function') return null;
+  if (from.x === to.x && from.y === to.y) return null;
+  try {
+    return backend.testCollision(from, to, { type: 'sight', mode: 'closest' }) || null;
+  } catch (err) {
+    console.error('RNK™ Illumination | Error testing targeting line against walls:', err);
+    return null;
+  }
+}
+
+/**
+ * Find how far along a targeting line the first sight-blocking wall sits. Curved lines are
+ * tested piece by piece, so an arc can be blocked where its straight chord is not.
+ * @param {Object} path - Line path from getLinePath
+ * @param {boolean} [curved=false] - Whether the path bends
+ * @returns {number|null} Fraction of the line where it is blocked, or null when it is clear
+ */
+export function getBlockedFraction(path, curved = false) {
+  const pieces = curved ? CURVE_PIECES : 1;
+  for (let i = 0; i < pieces; i++) {
+    const from = path.pointAt(i / pieces);
+    const to = path.pointAt((i + 1) / pieces);
+    const hit = testSightCollision(from, to);
+    if (!hit) continue;
+    const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+    const along = Math.hypot(hit.x - from.x, hit.y - from.y) / length;
+    return (i + Math.min(1, along)) / pieces;
+  }
+  return null;
+}
+
+/**
+ * Rate the cover a target has from an origin point by testing sight to each corner of the
+ * target's bounds: no cover when every corner is in sight, full cover when none is.
+ * @param {{x: number, y: number}} origin - Center of the targeting token
+ * @param {{x: number, y: number, width: number, height: number}} bounds - Bounds of the target
+ * @returns {string} 'none', 'partial', or 'full'
+ */
+export function getCoverLevel(origin, { x, y, width, height }) {
+  const inset = Math.min(CORNER_INSET, width / 4, height / 4);
+  const corners = [
+    { x: x + inset, y: y + inset },
+    { x: x + width - inset, y: y + inset },
+    { x: x + width - inset, y: y + height - inset },
+    { x: x + inset, y: y + height - inset }
+  ];
+  const blocked = corners.filter(corner => testSightCollision(origin, corner)).length;
+  if (!blocked) return 'none';
+  return blocked === corners.length ? 'full' : 'partial';
+}
+
+/**
+ * Split visible stretches of a line at the point where it is blocked.
+ * @param {Array<[number, number]>} segments - Visible stretches as start and end fractions
+ * @param {number|null} blockedAt - Fraction where the line is blocked
+ * @returns {{clear: Array<[number, number]>, blocked: Array<[number, number]>}}
+ */
+export function splitAtBlock(segments, blockedAt) {
+  if (blockedAt === null) return { clear: segments, blocked: [] };
+  const clear = [];
+  const blocked = [];
+  for (const [from, to] of segments) {
+    if (from < blockedAt) clear.push([from, Math.min(to, blockedAt)]);
+    if (to > blockedAt) blocked.push([Math.max(from, blockedAt), to]);
+  }
+  return { clear, blocked };
+}
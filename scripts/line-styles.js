@@ -0,0 +1,295 @@
+/**
+ * RNK™ Illumination - Targeting Line Styles
+ */
+
+import { prefersReducedMotion } from './preferences.js';
+import { getQualityTier } from './quality.js';
+
+// Distance between the points a styled stroke is traced through, in pixels
+const PATH_STEP = 4;
+// Arc bend as a fraction of the line length, per step away from a straight line
+const ARC_BEND = 0.15;
+// Flowing dashes travel this many dash-and-gap cycles per second
+const FLOW_SPEED = 1.5;
+
+// Flowing lines animated by the canvas ticker, keyed by their graphics
+const _flows = new Map();
+let _tickerCallback = null;
+
+/**
+ * Build the path a targeting line follows. Arcs bend to alternating sides so several lines
+ * between the same tokens stay apart: bend 0 is straight, 1 and 2 the first pair of arcs, and so on.
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} end
+ * @param {number} [bend=0] - Arc index, 0 for a straight line
+ * @returns {{pointAt: function(number): {x: number, y: number}, angleAt: function(number): number}}
+ */
+export function getLinePath(start, end, bend = 0) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  if (!bend) {
+    return {
+      pointAt: t => ({ x: start.x + dx * t, y: start.y + dy * t }),
+      angleAt: () => Math.atan2(dy, dx)
+    };
+  }
+
+  // Quadratic curve through a control point offset along the line's normal
+  const side = bend % 2 ? 1 : -1;
+  const offset = ARC_BEND * Math.ceil(bend / 2) * side;
+  const control = { x: start.x + dx / 2 - dy * offset, y: start.y + dy / 2 + dx * offset };
+  return {
+    pointAt: t => ({
+      x: (1 - t) ** 2 * start.x + 2 * (1 - t) * t * control.x + t ** 2 * end.x,
+      y: (1 - t) ** 2 * start.y + 2 * (1 - t) * t * control.y + t ** 2 * end.y
+    }),
+    angleAt: t => Math.atan2(
+      2 * (1 - t) * (control.y - start.y) + 2 * t * (end.y - control.y),
+      2 * (1 - t) * (control.x - start.x) + 2 * t * (end.x - control.x)
+    )
+  };
+}
+
+/**
+ * Trace a stretch of a path as points roughly PATH_STEP apart, with the distance along the stretch.
+ * @param {Object} path - Line path
+ * @param {number} from - Start fraction
+ * @param {number} to - End fraction
+ * @returns {Array<{x: number, y: number, distance: number}>}
+ */
+function tracePath(path, from, to) {
+  const first = path.pointAt(from);
+  const last = path.pointAt(to);
+  // A curve is at most a third longer than its chord for the bends used here
+  const chord = Math.hypot(last.x - first.x, last.y - first.y);
+  const count = Math.max(1, Math.ceil((chord * 1.35) / PATH_STEP));
+  const points = [{ ...first, distance: 0 }];
+  for (let i = 1; i <= count; i++) {
+    const point = path.pointAt(from + (to - from) * (i / count));
+    const previous = points[points.length - 1];
+    points.push({ ...point, distance: previous.distance + Math.hypot(point.x - previous.x, point.y - previous.y) });
+  }
+  return points;
+}
+
+function pointAlong(points, distance) {
+  const index = points.findIndex(point => point.distance >= distance);
+  if (index <= 0) return index === 0 ? points[0] : points[points.length - 1];
+  const a = points[index - 1];
+  const b = points[index];
+  const t = (distance - a.distance) / ((b.distance - a.distance) || 1);
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+function strokePoints(graphics, points) {
+  graphics.moveTo(points[0].x, points[0].y);
+  points.slice(1).forEach(point => graphics.lineTo(point.x, point.y));
+}
+
+/**
+ * Stroke a traced stretch as dashes, starting `phase` pixels into the dash cycle.
+ */
+function strokeDashes(graphics, points, dash, gap, phase = 0) {
+  const length = points[points.length - 1].distance;
+  const cycle = dash + gap;
+  for (let from = -(phase % cycle); from < length; from += cycle) {
+    const a = Math.max(0, from);
+    const b = Math.min(length, from + dash);
+    if (b <= a) continue;
+    const stretch = points.filter(point => point.distance > a && point.distance < b);
+    strokePoints(graphics, [pointAlong(points, a), ...stretch, pointAlong(points, b)]);
+  }
+}
+
+function strokeDots(graphics, points, radius, spacing, color, alpha) {
+  const length = points[points.length - 1].distance;
+  graphics.lineStyle(0);
+  graphics.beginFill(color, alpha);
+  for (let distance = 0; distance <= length; distance += spacing) {
+    const { x, y } = pointAlong(points, distance);
+    graphics.drawCircle(x, y, radius);
+  }
+  graphics.endFill();
+}
+
+/**
+ * Offset a traced stretch along its normal, for the rails of a double line.
+ */
+function offsetPoints(points, offset) {
+  return points.map((point, index) => {
+    const a = points[Math.max(0, index - 1)];
+    const b = points[Math.min(points.length - 1, index + 1)];
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return { ...point, x: point.x - ((b.y - a.y) / length) * offset, y: point.y + ((b.x - a.x) / length) * offset };
+  });
+}
+
+/**
+ * Stroke the visible stretches of a targeting line in a user's line style.
+ * @param {PIXI.Graphics} graphics
+ * @param {Object} path - Line path from getLinePath
+ * @param {Array<[number, number]>} segments - Visible stretches as start and end fractions
+ * @param {Object} lineStyle - Normalized line style
+ * @param {number} color - PIXI hex color value
+ */
+export function drawLineStroke(graphics, path, segments, lineStyle, color) {
+  const { style, width, opacity } = lineStyle;
+  for (const [from, to] of segments) {
+    const points = tracePath(path, from, to);
+    switch (style) {
+      case 'dashed':
+        graphics.lineStyle(width, color, opacity);
+        strokeDashes(graphics, points, width * 3, width * 2);
+        break;
+      case 'dotted':
+        strokeDots(graphics, points, width / 2, width * 2.5, color, opacity);
+        break;
+      case 'double':
+        graphics.lineStyle(Math.max(1, width / 2), color, opacity);
+        strokePoints(graphics, offsetPoints(points, width * 0.75));
+        strokePoints(graphics, offsetPoints(points, -width * 0.75));
+        break;
+      case 'flow':
+        // A faint rail under the animated dashes
+        graphics.lineStyle(width, color, opacity * 0.3);
+        strokePoints(graphics, points);
+        break;
+      default:
+        graphics.lineStyle(width, color, opacity);
+        strokePoints(graphics, points);
+    }
+  }
+}
+
+/**
+ * Draw the arrowhead at the target end of a line.
+ * @param {PIXI.Graphics} graphics
+ * @param {{x: number, y: number}} tip
+ * @param {number} angle - Direction the line arrives from, in radians
+ * @param {Object} lineStyle - Normalized line style
+ * @param {number} color - PIXI hex color value
+ */
+export function drawArrowhead(graphics, tip, angle, lineStyle, color) {
+  const { arrowhead, width, opacity } = lineStyle;
+  if (arrowhead === 'none') return;
+  // The original 15px arrowhead at the default 4px line width
+  const size = Math.max(10, width * 3.75);
+  const spread = Math.PI / 6;
+  const wing = side => ({
+    x: tip.x - size * Math.cos(angle + side * spread),
+    y: tip.y - size * Math.sin(angle + side * spread)
+  });
+
+  if (arrowhead === 'circle') {
+    graphics.lineStyle(0);
+    graphics.beginFill(color, opacity);
+    graphics.drawCircle(tip.x, tip.y, size / 3);
+    graphics.endFill();
+    return;
+  }
+  if (arrowhead === 'chevron') {
+    const [left, right] = [wing(-1), wing(1)];
+    graphics.lineStyle(Math.max(2, width / 2), color, opacity);
+    graphics.moveTo(left.x, left.y);
+    graphics.lineTo(tip.x, tip.y);
+    graphics.lineTo(right.x, right.y);
+    return;
+  }
+
+  const [left, right] = [wing(-1), wing(1)];
+  graphics.lineStyle(0);
+  graphics.beginFill(color, opacity);
+  graphics.moveTo(tip.x, tip.y);
+  graphics.lineTo(left.x, left.y);
+  graphics.lineTo(right.x, right.y);
+  graphics.lineTo(tip.x, tip.y);
+  graphics.endFill();
+}
+
+/**
+ * Check whether flowing lines may animate on this client. Reduced motion and the low and off
+ * quality tiers keep the dashes still.
+ * @returns {boolean}
+ */
+function isFlowAnimated() {
+  return !prefersReducedMotion() && !['low', 'off'].includes(getQualityTier());
+}
+
+function drawFlow(flow) {
+  flow.graphics.clear();
+  flow.graphics.lineStyle(flow.width, flow.color, flow.opacity);
+  // The dash pattern starts up to one cycle before the line so its start is always covered
+  flow.stretches.forEach(points => strokeDashes(flow.graphics, points, flow.dash, flow.cycle - flow.dash, flow.cycle - flow.phase));
+}
+
+function tick() {
+  const deltaMS = canvas?.app?.ticker?.deltaMS ?? 16.7;
+  // Motion or quality settings changed since the flows started; leave the dashes where they are
+  if (!isFlowAnimated()) {
+    _flows.clear();
+    stopTicker();
+    return;
+  }
+  _flows.forEach((flow, graphics) => {
+    // Hidden flows are dropped until their line draws them again
+    if (graphics.destroyed || !graphics.visible) {
+      _flows.delete(graphics);
+      return;
+    }
+    flow.phase = (flow.phase + (deltaMS / 1000) * FLOW_SPEED * flow.cycle) % flow.cycle;
+    drawFlow(flow);
+  });
+  if (!_flows.size) stopTicker();
+}
+
+function stopTicker() {
+  if (!_tickerCallback) return;
+  canvas?.app?.ticker?.remove(_tickerCallback);
+  _tickerCallback = null;
+}
+
+/**
+ * Animate dashes flowing along a line toward the target, driven by the canvas ticker. Starting
+ * the flow again on the same graphics moves it to the new path and keeps its phase, and the
+ * flow stops on its own when the graphics are hidden or destroyed. When motion is reduced or
+ * quality is below medium the dashes are drawn still instead.
+ * @param {PIXI.Graphics} graphics - Graphics the dashes are drawn into, usually a child of the line
+ * @param {Object} path - Line path from getLinePath
+ * @param {Array<[number, number]>} segments - Visible stretches as start and end fractions
+ * @param {Object} lineStyle - Normalized line style
+ * @param {number} color - PIXI hex color value
+ */
+export function startLineFlow(graphics, path, segments, lineStyle, color) {
+  const dash = lineStyle.width * 3;
+  const cycle = dash * 2.5;
+  const flow = {
+    graphics,
+    stretches: segments.map(([from, to]) => tracePath(path, from, to)),
+    width: lineStyle.width,
+    opacity: lineStyle.opacity,
+    color,
+    dash,
+    cycle,
+    phase: (_flows.get(graphics)?.phase ?? 0) % cycle
+  };
+  drawFlow(flow);
+  if (!isFlowAnimated()) {
+    _flows.delete(graphics);
+    return;
+  }
+  _flows.set(graphics, flow);
+
+  const ticker = canvas?.app?.ticker;
+  if (!_tickerCallback && ticker) {
+    _tickerCallback = tick;
+    ticker.add(_tickerCallback);
+  }
+}
+
+/**
+ * Stop every flowing line, e.g. when the canvas is torn down.
+ */
+export function clearLineFlows() {
+  _flows.clear();
+  stopTicker();
+}
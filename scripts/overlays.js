@@ -0,0 +1,59 @@
+/**
+ * RNK™ Illumination - Placeable Overlays
+ */
+
+import { stopAnimation } from './animations.js';
+import { makePointerPassthrough } from './underglow.js';
+
+/**
+ * Get the overlay drawn for a placeable with no artwork of its own, creating it on the primary
+ * canvas group. The overlay's `boundary` graphics receives the profile's effect filters and
+ * sits above its `fill` graphics.
+ * @param {object} placeable - Region, wall, or other placeable
+ * @param {string} name - Display object name, for debugging
+ * @returns {PIXI.Container|null} The overlay, or null before the canvas is ready
+ */
+export function getOverlay(placeable, name) {
+  let overlay = placeable._rnkOverlay;
+  if (overlay && !overlay.destroyed) return overlay;
+  if (!canvas?.primary) return null;
+
+  overlay = makePointerPassthrough(new PIXI.Container());
+  overlay.name = name;
+  overlay.fill = overlay.addChild(makePointerPassthrough(new PIXI.Graphics()));
+  overlay.boundary = overlay.addChild(makePointerPassthrough(new PIXI.Graphics()));
+  overlay.fill.blendMode = PIXI.BLEND_MODES.ADD;
+  canvas.primary.addChild(overlay);
+  placeable._rnkOverlay = overlay;
+  return overlay;
+}
+
+/**
+ * Sort an overlay with the drawings: above tiles and below tokens at its elevation.
+ * @param {PIXI.Container} overlay
+ * @param {number} elevation
+ * @param {number} [sort=0]
+ */
+export function syncOverlaySorting(overlay, elevation, sort = 0) {
+  const sortLayers = foundry?.canvas?.groups?.PrimaryCanvasGroup?.SORT_LAYERS;
+  overlay.elevation = Number.isFinite(elevation) ? elevation : 0;
+  overlay.sortLayer = sortLayers?.DRAWINGS ?? 0;
+  overlay.sort = sort;
+}
+
+/**
+ * Remove a placeable's overlay. Remove its effect filters first so they return to the pool.
+ * @param {object} placeable
+ */
+export function removeOverlay(placeable) {
+  const overlay = placeable?._rnkOverlay;
+  if (!overlay) return;
+  placeable._rnkOverlay = null;
+  try {
+    stopAnimation(overlay.fill);
+    overlay.parent?.removeChild(overlay);
+    if (!overlay.destroyed) overlay.destroy({ children: true });
+  } catch (err) {
+    console.error('RNK™ Illumination | Failed to remove overlay', err);
+  }
+}
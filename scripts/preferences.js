@@ -0,0 +1,172 @@
+/**
+ * RNK™ Illumination - Client Preferences
+ */
+
+import { DEFAULT_CLIENT_PREFERENCES, MODULE_ID } from './constants.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+// Slider bounds for the numeric preferences
+const OTHERS_EFFECT_SCALE = { min: 0.1, max: 1, step: 0.05 };
+const INDICATOR_SCALE = { min: 0.5, max: 2, step: 0.1 };
+
+let _preferences = null;
+// The operating system's reduced motion media query, created on first use
+let _reducedMotionQuery = null;
+
+function clamp(value, { min, max }, fallback) {
+  const number = Number.parseFloat(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Normalize stored client preferences, filling missing fields with their defaults
+ * @param {Object} raw - Stored preferences
+ * @returns {Object}
+ */
+export function normalizeClientPreferences(raw = {}) {
+  return {
+    hideOthersEffects: Boolean(raw?.hideOthersEffects ?? DEFAULT_CLIENT_PREFERENCES.hideOthersEffects),
+    othersEffectScale: clamp(raw?.othersEffectScale, OTHERS_EFFECT_SCALE, DEFAULT_CLIENT_PREFERENCES.othersEffectScale),
+    hideOthersLines: Boolean(raw?.hideOthersLines ?? DEFAULT_CLIENT_PREFERENCES.hideOthersLines),
+    disableAnimations: Boolean(raw?.disableAnimations ?? DEFAULT_CLIENT_PREFERENCES.disableAnimations),
+    indicatorScale: clamp(raw?.indicatorScale, INDICATOR_SCALE, DEFAULT_CLIENT_PREFERENCES.indicatorScale),
+    indicatorAvatars: Boolean(raw?.indicatorAvatars ?? DEFAULT_CLIENT_PREFERENCES.indicatorAvatars)
+  };
+}
+
+/**
+ * Get this client's preferences. The setting is read once and cached until it changes.
+ * @returns {Object}
+ */
+export function getClientPreferences() {
+  if (!_preferences) {
+    let raw = null;
+    try { raw = game.settings.get(MODULE_ID, 'clientPreferences'); } catch (err) { /* not registered yet */ }
+    _preferences = normalizeClientPreferences(raw);
+  }
+  return _preferences;
+}
+
+/**
+ * Drop the cached preferences so the next read picks up the changed setting.
+ */
+export function resetClientPreferences() {
+  _preferences = null;
+}
+
+/**
+ * Check whether this client asked for reduced motion, through the preference or the
+ * operating system's reduced motion setting.
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+  if (getClientPreferences().disableAnimations) return true;
+  _reducedMotionQuery ??= globalThis.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null;
+  return Boolean(_reducedMotionQuery?.matches);
+}
+
+/**
+ * Adjust a user's profile for display on this client. Profiles belonging to other users
+ * are hidden or scaled down according to the preferences; this client's own profile is unchanged.
+ * @param {Object|null} settings - Normalized profile
+ * @param {User|null} user - User the profile belongs to
+ * @returns {Object|null} Adjusted profile, or null when hidden
+ */
+export function adjustUserProfile(settings, user) {
+  if (!settings || !user || user.id === game.user?.id) return settings;
+  const { hideOthersEffects, othersEffectScale } = getClientPreferences();
+  if (hideOthersEffects) return null;
+  if (othersEffectScale === 1) return settings;
+  const scale = layer => ({ ...layer, intensity: (Number(layer.intensity) || 1) * othersEffectScale });
+  return { ...scale(settings), layers: (settings.layers ?? [settings]).map(scale) };
+}
+
+/**
+ * Strip animation presets and color cycling from a profile when this client disabled animation.
+ * @param {Object|null} settings - Normalized profile
+ * @returns {Object|null}
+ */
+export function applyAnimationPreference(settings) {
+  if (!settings || !getClientPreferences().disableAnimations) return settings;
+  const still = layer => ({
+    ...layer,
+    animation: 'none',
+    gradient: layer.gradient === 'cycle' ? 'none' : layer.gradient
+  });
+  return { ...still(settings), layers: (settings.layers ?? [settings]).map(still) };
+}
+
+/**
+ * Check whether this client hides another user's targeting lines.
+ * @param {User} user - User who owns the line
+ * @returns {boolean}
+ */
+export function isTargetingLineHidden(user) {
+  return Boolean(user && user.id !== game.user?.id && getClientPreferences().hideOthersLines);
+}
+
+/**
+ * Client preferences panel, available to every user from the module settings.
+ */
+export class RNKClientPreferences extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'rnk-illumination-preferences',
+    tag: 'form',
+    window: {
+      icon: 'fa-solid fa-sliders',
+      title: 'rnk-illumination.ui.preferences.title'
+    },
+    position: {
+      width: 420,
+      height: 'auto'
+    },
+    form: {
+      handler: this._onSubmit,
+      submitOnChange: false,
+      closeOnSubmit: true
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/rnk-illumination/templates/client-preferences.html'
+    }
+  };
+
+  async _prepareContext(_options) {
+    return {
+      preferences: getClientPreferences(),
+      othersEffectScale: OTHERS_EFFECT_SCALE,
+      indicatorScale: INDICATOR_SCALE
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender?.(context, options);
+    this.element.querySelectorAll('input[type="range"]').forEach(input => {
+      const output = input.nextElementSibling;
+      input.addEventListener('input', () => {
+        if (output) output.value = input.value;
+      });
+    });
+  }
+
+  static async _onSubmit(event, form, formData) {
+    const data = formData.object;
+    try {
+      await game.settings.set(MODULE_ID, 'clientPreferences', normalizeClientPreferences({
+        hideOthersEffects: Boolean(data.hideOthersEffects),
+        othersEffectScale: data.othersEffectScale,
+        hideOthersLines: Boolean(data.hideOthersLines),
+        disableAnimations: Boolean(data.disableAnimations),
+        indicatorScale: data.indicatorScale,
+        indicatorAvatars: Boolean(data.indicatorAvatars)
+      }));
+    } catch (err) {
+      console.error('RNK™ Illumination | Failed to save client preferences', err);
+      ui.notifications.error(game.i18n.localize('rnk-illumination.notifications.settingsSaveFailed'));
+    }
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * RNK™ Illumination - Effect Profiles
+ */
+
+import {
+  ARROWHEAD_SHAPES,
+  AVAILABLE_ANIMATIONS,
+  AVAILABLE_DISPOSITIONS,
+  AVAILABLE_EFFECTS,
+  AVAILABLE_GRADIENTS,
+  COMBAT_ROLES,
+  DEFAULT_COMBAT_SPOTLIGHT,
+  DEFAULT_DISPOSITION_PALETTE,
+  DEFAULT_DOOR_PROFILES,
+  DEFAULT_LINE_STYLE,
+  DEFAULT_RANGE_BANDS,
+  DEFAULT_REGION_FILL,
+  DEFAULT_SETTINGS,
+  DISPOSITION_KEYS,
+  DOOR_STATES,
+  LINE_STYLE_LIMITS,
+  LINE_STYLES,
+  MAX_COLOR_STOPS,
+  MAX_EFFECT_LAYERS,
+  MAX_LIGHT_RADIUS,
+  RETICLE_STYLES
+} from './constants.js';
+import { sanitizeColor, sanitizeColorStops } from './effects.js';
+import { normalizeCommonParams, normalizeEffectParams } from './effect-params.js';
+import { sanitizeSymbol } from './targeting.js';
+
+/**
+ * Normalize a single effect layer
+ * @param {Object} raw - Raw layer data
+ * @returns {{effect: string, color: string, gradient: string, colorStops: string[], intensity: number, range: number, params: Object}}
+ */
+export function normalizeEffectLayer(raw = {}) {
+  const colorStops = sanitizeColorStops(raw.colorStops);
+  const gradient = AVAILABLE_GRADIENTS.includes(raw.gradient) && colorStops.length ? raw.gradient : 'none';
+  const effect = AVAILABLE_EFFECTS.includes(raw.effect) ? raw.effect : DEFAULT_SETTINGS.effect;
+  return {
+    effect,
+    color: sanitizeColor(raw.color || DEFAULT_SETTINGS.color),
+    gradient,
+    colorStops,
+    ...normalizeCommonParams(raw),
+    params: normalizeEffectParams(effect, raw.params)
+  };
+}
+
+/**
+ * Pad a layer's extra color stops so editors always show every stop input. The second stop
+ * is required by any gradient; later stops carry an enable toggle.
+ * @param {Object} layer - Normalized layer
+ * @returns {Array<{number: number, color: string, optional: boolean, enabled: boolean}>}
+ */
+export function getColorStopSlots(layer) {
+  const stops = layer?.colorStops ?? [];
+  const slots = [];
+  for (let index = 0; index < MAX_COLOR_STOPS - 1; index++) {
+    slots.push({
+      number: index + 2,
+      color: stops[index] ?? layer?.color ?? DEFAULT_SETTINGS.color,
+      optional: index > 0,
+      enabled: index < stops.length
+    });
+  }
+  return slots;
+}
+
+/**
+ * Normalize the animation preset fields of a profile
+ * @param {Object} raw - Raw profile data
+ * @returns {{animation: string, animationSpeed: number, animationAmplitude: number}}
+ */
+export function normalizeAnimationSettings(raw = {}) {
+  const amplitude = Number.parseFloat(raw.animationAmplitude);
+  return {
+    animation: AVAILABLE_ANIMATIONS.includes(raw.animation) ? raw.animation : DEFAULT_SETTINGS.animation,
+    animationSpeed: Number.parseFloat(raw.animationSpeed) || DEFAULT_SETTINGS.animationSpeed,
+    animationAmplitude: Number.isFinite(amplitude) ? amplitude : DEFAULT_SETTINGS.animationAmplitude
+  };
+}
+
+/**
+ * Normalize the scene light fields of a profile
+ * @param {Object} raw - Raw profile data
+ * @returns {{emitLight: boolean, lightRadius: number}}
+ */
+export function normalizeLightSettings(raw = {}) {
+  const radius = Number.parseFloat(raw.lightRadius);
+  return {
+    emitLight: Boolean(raw.emitLight),
+    lightRadius: Number.isFinite(radius) ? Math.min(MAX_LIGHT_RADIUS, Math.max(0, radius)) : DEFAULT_SETTINGS.lightRadius
+  };
+}
+
+/**
+ * Normalize a user's targeting line style
+ * @param {Object} raw - Stored line style from the user settings flag
+ * @returns {Object} Line style with its end label parts, marker label limit, and indicator reticle
+ */
+export function normalizeLineStyle(raw = {}) {
+  const clamp = (key) => {
+    const value = Number.parseFloat(raw?.[key]);
+    const { min, max } = LINE_STYLE_LIMITS[key];
+    return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_LINE_STYLE[key];
+  };
+  const font = typeof raw?.font === 'string' ? raw.font.trim() : '';
+  const flag = (key) => (typeof raw?.[key] === 'boolean' ? raw[key] : DEFAULT_LINE_STYLE[key]);
+  return {
+    style: LINE_STYLES.includes(raw?.style) ? raw.style : DEFAULT_LINE_STYLE.style,
+    width: clamp('width'),
+    opacity: clamp('opacity'),
+    arrowhead: ARROWHEAD_SHAPES.includes(raw?.arrowhead) ? raw.arrowhead : DEFAULT_LINE_STYLE.arrowhead,
+    font: font || DEFAULT_LINE_STYLE.font,
+    fontSize: clamp('fontSize'),
+    labelName: flag('labelName'),
+    labelDistance: flag('labelDistance'),
+    labelElevation: flag('labelElevation'),
+    label3d: flag('label3d'),
+    markerLabelLimit: Math.round(clamp('markerLabelLimit')),
+    reticle: RETICLE_STYLES.includes(raw?.reticle) ? raw.reticle : DEFAULT_LINE_STYLE.reticle
+  };
+}
+
+/**
+ * Normalize a user's targeting range bands
+ * @param {Object} raw - Raw range band data
+ * @returns {{normal: number, long: number, normalPath: string, longPath: string}}
+ */
+export function normalizeRangeBands(raw = {}) {
+  const range = (key) => {
+    const value = Number.parseFloat(raw?.[key]);
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_RANGE_BANDS[key];
+  };
+  const path = (key) => (typeof raw?.[key] === 'string' ? raw[key].trim() : DEFAULT_RANGE_BANDS[key]);
+  return {
+    normal: range('normal'),
+    long: range('long'),
+    normalPath: path('normalPath'),
+    longPath: path('longPath')
+  };
+}
+
+/**
+ * Normalize the fill fields of a region profile
+ * @param {Object} raw - Raw profile data
+ * @returns {{fill: boolean, fillAlpha: number}}
+ */
+export function normalizeRegionFill(raw = {}) {
+  const alpha = Number.parseFloat(raw.fillAlpha);
+  return {
+    fill: Boolean(raw.fill ?? DEFAULT_REGION_FILL.fill),
+    fillAlpha: Number.isFinite(alpha) ? Math.min(1, Math.max(0, alpha)) : DEFAULT_REGION_FILL.fillAlpha
+  };
+}
+
+/**
+ * Normalize a stored profile. The top-level effect fields are the first layer; any
+ * additional entries in `layers` are stacked on top of it in order.
+ * @param {Object} raw - Raw profile data from a user or document flag
+ * @returns {Object} Normalized profile
+ */
+export function normalizeEffectSettings(raw = {}) {
+  const customSymbol = typeof raw.customSymbol === 'string' ? raw.customSymbol.trim() : '';
+  const symbolSource = customSymbol || raw.symbol || DEFAULT_SETTINGS.symbol;
+  const primary = normalizeEffectLayer(raw);
+  const extraLayers = (Array.isArray(raw.layers) ? raw.layers.slice(1) : [])
+    .map(layer => normalizeEffectLayer(layer))
+    .filter(layer => layer.effect !== 'none');
+
+  return {
+    ...primary,
+    symbol: sanitizeSymbol(symbolSource),
+    customSymbol,
+    ...normalizeAnimationSettings(raw),
+    ...normalizeLightSettings(raw),
+    layers: [primary, ...extraLayers].slice(0, MAX_EFFECT_LAYERS)
+  };
+}
+
+/**
+ * Build the extra layer slots shown in editors, padding unused slots with disabled layers.
+ * @param {Object} settings - Normalized profile
+ * @returns {Array<Object>} Layer slots after the primary layer
+ */
+export function getExtraLayerSlots(settings) {
+  const layers = settings?.layers ?? [];
+  const slots = [];
+  for (let index = 1; index < MAX_EFFECT_LAYERS; index++) {
+    const layer = layers[index] ?? { ...normalizeEffectLayer(), effect: 'none' };
+    slots.push({ index, number: index + 1, ...layer, stopSlots: getColorStopSlots(layer) });
+  }
+  return slots;
+}
+
+/**
+ * Normalize the world disposition palette, filling missing dispositions with their defaults
+ * @param {Object} raw - Stored palette keyed by disposition
+ * @returns {Object<string, Object>} Normalized profile per disposition
+ */
+export function normalizeDispositionPalette(raw = {}) {
+  const palette = {};
+  for (const disposition of AVAILABLE_DISPOSITIONS) {
+    palette[disposition] = normalizeEffectSettings(raw?.[disposition] || DEFAULT_DISPOSITION_PALETTE[disposition]);
+  }
+  return palette;
+}
+
+/**
+ * Resolve the palette key for a token disposition value
+ * @param {number} disposition - CONST.TOKEN_DISPOSITIONS value
+ * @returns {string|null}
+ */
+export function getDispositionKey(disposition) {
+  return DISPOSITION_KEYS[disposition] ?? null;
+}
+
+/**
+ * Normalize the world combat spotlight settings
+ * @param {Object} raw - Stored spotlight settings
+ * @returns {{enabled: boolean, active: Object, onDeck: Object, defeated: Object}}
+ */
+export function normalizeCombatSpotlight(raw = {}) {
+  const spotlight = { enabled: raw?.enabled ?? DEFAULT_COMBAT_SPOTLIGHT.enabled };
+  for (const role of COMBAT_ROLES) {
+    spotlight[role] = normalizeEffectSettings(raw?.[role] || DEFAULT_COMBAT_SPOTLIGHT[role]);
+  }
+  return spotlight;
+}
+
+/**
+ * Normalize the world door profiles
+ * @param {Object} raw - Stored door profiles
+ * @returns {{enabled: boolean, closed: Object, open: Object, locked: Object}}
+ */
+export function normalizeDoorProfiles(raw = {}) {
+  const profiles = { enabled: Boolean(raw?.enabled ?? DEFAULT_DOOR_PROFILES.enabled) };
+  for (const state of DOOR_STATES) {
+    profiles[state] = normalizeEffectSettings(raw?.[state] || DEFAULT_DOOR_PROFILES[state]);
+  }
+  return profiles;
+}
+
+/**
+ * Stack an overlay profile's layers on top of a base profile. Overlay layers keep the
+ * overlay's animation preset so it does not inherit the base animation. The base profile's
+ * light is kept when it emits one, otherwise the overlay's light is used.
+ * @param {Object|null} base - Normalized base profile
+ * @param {Object|null} overlay - Normalized overlay profile
+ * @returns {Object|null} Combined profile, or null when neither is set
+ */
+export function stackProfiles(base, overlay) {
+  if (!overlay) return base;
+  if (!base) return overlay;
+  const { animation, animationSpeed, animationAmplitude } = overlay;
+  const light = base.emitLight ? base : overlay;
+  return {
+    ...base,
+    emitLight: Boolean(light.emitLight),
+    lightRadius: light.lightRadius,
+    layers: [
+      ...(base.layers ?? [base]),
+      ...(overlay.layers ?? [overlay]).map(layer => ({ ...layer, animation, animationSpeed, animationAmplitude }))
+    ]
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * RNK™ Illumination - Adaptive Quality
+ */
+
+import { QUALITY_MODES } from './constants.js';
+
+// Tiers the auto mode moves between; 'off' is only reached by choosing it explicitly
+const AUTO_TIERS = ['high', 'medium', 'low'];
+// Frame time is averaged over this many milliseconds before the tier is reconsidered
+const SAMPLE_WINDOW_MS = 2000;
+// Degrade when frames run this much slower than the ticker's target frame time
+const DEGRADE_RATIO = 1.5;
+// Restore once frames stay within this ratio of the target for several windows in a row
+const RESTORE_RATIO = 1.1;
+const RESTORE_WINDOWS = 3;
+// Scenes with at least this many tokens start auto mode one tier down
+const CROWDED_TOKEN_COUNT = 60;
+
+let _mode = 'high';
+let _autoTier = 'high';
+let _monitor = null;
+let _onTierChange = null;
+
+/**
+ * Register the callback that re-applies illumination when the effective tier changes.
+ * @param {Object} options
+ * @param {Function} options.onTierChange
+ */
+export function configureQuality({ onTierChange } = {}) {
+  _onTierChange = onTierChange ?? null;
+}
+
+/**
+ * Get the quality tier effects should currently render at.
+ * @returns {string} 'high', 'medium', 'low', or 'off'
+ */
+export function getQualityTier() {
+  return _mode === 'auto' ? _autoTier : _mode;
+}
+
+function notifyIfChanged(previousTier) {
+  if (getQualityTier() !== previousTier) _onTierChange?.();
+}
+
+/**
+ * Switch the quality mode chosen in this client's settings.
+ * @param {string} mode - 'auto' or a fixed tier
+ */
+export function setQualityMode(mode) {
+  const previousTier = getQualityTier();
+  _mode = QUALITY_MODES.includes(mode) ? mode : 'high';
+  if (_mode === 'auto') startQualityMonitor();
+  else stopQualityMonitor();
+  notifyIfChanged(previousTier);
+}
+
+function setAutoTier(tier) {
+  const previousTier = getQualityTier();
+  _autoTier = tier;
+  notifyIfChanged(previousTier);
+}
+
+function sampleFrame() {
+  const ticker = canvas?.app?.ticker;
+  if (!_monitor || !ticker) return;
+  _monitor.elapsed += ticker.deltaMS;
+  _monitor.frames += 1;
+  if (_monitor.elapsed < SAMPLE_WINDOW_MS) return;
+
+  const frameMS = _monitor.elapsed / _monitor.frames;
+  const targetMS = 1000 / (ticker.maxFPS || 60);
+  _monitor.elapsed = 0;
+  _monitor.frames = 0;
+
+  const index = AUTO_TIERS.indexOf(_autoTier);
+  if (frameMS > targetMS * DEGRADE_RATIO) {
+    _monitor.fastWindows = 0;
+    if (index < AUTO_TIERS.length - 1) setAutoTier(AUTO_TIERS[index + 1]);
+  } else if (frameMS < targetMS * RESTORE_RATIO) {
+    _monitor.fastWindows += 1;
+    if (_monitor.fastWindows >= RESTORE_WINDOWS && index > 0) {
+      _monitor.fastWindows = 0;
+      setAutoTier(AUTO_TIERS[index - 1]);
+    }
+  } else {
+    _monitor.fastWindows = 0;
+  }
+}
+
+/**
+ * Start sampling canvas frame time for auto mode. The starting tier is estimated from
+ * the scene's token count and then follows the measured frame rate.
+ */
+export function startQualityMonitor() {
+  if (_mode !== 'auto' || _monitor) return;
+  const ticker = canvas?.app?.ticker;
+  if (!ticker) return;
+
+  const tokenCount = canvas?.tokens?.placeables?.length ?? 0;
+  _autoTier = tokenCount >= CROWDED_TOKEN_COUNT ? 'medium' : 'high';
+  _monitor = { elapsed: 0, frames: 0, fastWindows: 0 };
+  ticker.add(sampleFrame);
+}
+
+/**
+ * Stop sampling frame time.
+ */
+export function stopQualityMonitor() {
+  if (!_monitor) return;
+  canvas?.app?.ticker?.remove(sampleFrame);
+  _monitor = null;
+}
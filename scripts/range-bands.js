@@ -0,0 +1,118 @@
+/**
+ * RNK™ Illumination - Targeting Range Bands
+ */
+
+import { RANGE_BAND_COLORS } from './constants.js';
+import { normalizeRangeBands } from './profiles.js';
+
+// Range paths reading from an item of the actor: `items.<name or id>.<path>`
+const ITEM_PATH_RE = /^items\.([^.]+)\.(.+)$/;
+
+/**
+ * Read a range from an actor data path. A path starting with `items.<name or id>.` reads from
+ * that item of the actor instead, e.g. `items.Longbow.system.range.long`.
+ * @param {Actor} actor
+ * @param {string} path
+ * @returns {number|null} The range in scene units, or null when the path has no positive number
+ */
+function resolveRangePath(actor, path) {
+  if (!actor || !path) return null;
+  let source = actor;
+  let property = path;
+  const itemPath = ITEM_PATH_RE.exec(path);
+  if (itemPath) {
+    source = actor.items?.get(itemPath[1]) ?? actor.items?.getName?.(itemPath[1]);
+    property = itemPath[2];
+  }
+  if (!source) return null;
+  const value = Number.parseFloat(foundry.utils.getProperty(source, property));
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Get the range bands a user's targeting lines are measured against. Data paths read from the
+ * targeting token's actor win over the fixed ranges, so each actor can carry its own.
+ * @param {Object} settings - User settings
+ * @param {Token} originToken - Token the line starts from
+ * @returns {{normal: number, max: number}|null} Band limits, or null when the user has none
+ */
+export function getRangeBands(settings, originToken) {
+  const ranges = normalizeRangeBands(settings?.ranges);
+  const actor = originToken?.actor;
+  const normal = resolveRangePath(actor, ranges.normalPath) ?? ranges.normal;
+  const long = resolveRangePath(actor, ranges.longPath) ?? ranges.long;
+  const max = Math.max(normal, long);
+  return max > 0 ? { normal, max } : null;
+}
+
+/**
+ * Check whether an actor update changes data one of a user's range paths reads.
+ * @param {Object} settings - User settings
+ * @param {Object} changes - Update data of the actor
+ * @returns {boolean}
+ */
+export function isRangeDataChange(settings, changes) {
+  const { normalPath, longPath } = normalizeRangeBands(settings?.ranges);
+  return [normalPath, longPath].some(path => path && !ITEM_PATH_RE.test(path) && foundry.utils.hasProperty(changes, path));
+}
+
+/**
+ * Check whether creating, updating, or deleting an item changes what one of a user's range paths reads.
+ * @param {Object} settings - User settings
+ * @param {Item} item
+ * @param {Object} [changes] - Update data of the item, omitted when it is created or deleted
+ * @returns {boolean}
+ */
+export function isRangeItemChange(settings, item, changes = null) {
+  const { normalPath, longPath } = normalizeRangeBands(settings?.ranges);
+  return [normalPath, longPath].some(path => {
+    const itemPath = ITEM_PATH_RE.exec(path);
+    if (!itemPath) return false;
+    // A renamed item may have stopped matching a path that named it
+    if (changes && 'name' in changes) return true;
+    if (itemPath[1] !== item.id && itemPath[1] !== item.name) return false;
+    return !changes || foundry.utils.hasProperty(changes, itemPath[2]);
+  });
+}
+
+/**
+ * Find which band a distance falls in.
+ * @param {number} distance - Distance in scene units
+ * @param {{normal: number, max: number}} bands
+ * @returns {string} 'normal', 'long', or 'beyond'
+ */
+export function getRangeBand(distance, bands) {
+  if (distance <= bands.normal) return 'normal';
+  return distance <= bands.max ? 'long' : 'beyond';
+}
+
+/**
+ * Get the line color for a band. Lines within normal range keep the user's own color.
+ * @param {string} band
+ * @param {number} colorValue - The user's PIXI hex color value
+ * @returns {number}
+ */
+export function getRangeBandColor(band, colorValue) {
+  return band === 'normal' ? colorValue : Color.from(RANGE_BAND_COLORS[band]).valueOf();
+}
+
+/**
+ * Split stretches of a line into the bands they pass through.
+ * @param {Array<[number, number]>} segments - Stretches as start and end fractions
+ * @param {number|null} normalAt - Fraction where the line leaves normal range
+ * @param {number|null} maxAt - Fraction where the line leaves long range
+ * @returns {Array<{band: string, segments: Array<[number, number]>}>}
+ */
+export function splitByRangeBand(segments, normalAt, maxAt) {
+  const limits = [
+    ['normal', 0, normalAt ?? 1],
+    ['long', normalAt ?? 1, maxAt ?? 1],
+    ['beyond', maxAt ?? 1, 1]
+  ];
+  return limits.map(([band, low, high]) => ({
+    band,
+    segments: segments
+      .map(([from, to]) => [Math.max(from, low), Math.min(to, high)])
+      .filter(([from, to]) => to > from)
+  })).filter(({ segments: stretches }) => stretches.length);
+}
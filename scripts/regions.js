@@ -0,0 +1,124 @@
+/**
+ * RNK™ Illumination - Scene Region Overlays
+ */
+
+import { startAnimation, stopAnimation } from './animations.js';
+import { parseColor } from './effects.js';
+import { getOverlay, removeOverlay, syncOverlaySorting } from './overlays.js';
+
+const REGION_OVERLAY_NAME = 'rnk-illumination-region';
+const BOUNDARY_WIDTH = 4;
+
+/**
+ * Check whether a placeable is a Scene Region.
+ * @param {object} placeable
+ * @returns {boolean}
+ */
+export function isRegion(placeable) {
+  return (placeable?.document?.documentName ?? placeable?.documentName) === 'Region';
+}
+
+function getRegionPolygons(region) {
+  const polygons = region?.document?.polygons ?? region?.polygons;
+  return Array.isArray(polygons) ? polygons : [];
+}
+
+/**
+ * Get the bounding box of a region's shapes in canvas coordinates.
+ * @param {object} region
+ * @returns {{x: number, y: number, w: number, h: number}|null}
+ */
+export function getRegionBounds(region) {
+  const polygons = getRegionPolygons(region);
+  if (!polygons.length) return null;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const polygon of polygons) {
+    const { x, y, width, height } = polygon.getBounds();
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x + width);
+    maxY = Math.max(maxY, y + height);
+  }
+  return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+/**
+ * Fill a region's solid shapes, cutting out its holes. Foundry's polygon tree nests holes
+ * under the shape they are cut from, and islands inside holes under the hole.
+ * @param {PIXI.Graphics} graphics - Graphics with an open fill
+ * @param {Object} node - Polygon tree node
+ */
+function fillPolygonTree(graphics, node) {
+  for (const solid of node.children ?? []) {
+    graphics.drawShape(solid.polygon);
+    for (const hole of solid.children ?? []) {
+      graphics.beginHole();
+      graphics.drawShape(hole.polygon);
+      graphics.endHole();
+      fillPolygonTree(graphics, hole);
+    }
+  }
+}
+
+function fillRegion(graphics, region) {
+  const tree = region.document?.polygonTree ?? region.polygonTree;
+  if (tree?.children) {
+    fillPolygonTree(graphics, tree);
+    return;
+  }
+  getRegionPolygons(region).filter(polygon => polygon.isPositive !== false).forEach(polygon => graphics.drawShape(polygon));
+}
+
+/**
+ * Draw a region's glowing boundary, and optionally an animated fill, from its shapes.
+ * The boundary is the display object that receives the profile's effect filters. It is
+ * redrawn only when the shapes or the profile change.
+ * @param {object} region - Region placeable
+ * @param {Object} settings - Normalized profile with `fill` and `fillAlpha`
+ * @returns {PIXI.Container|null} The overlay, or null when the region has no shapes
+ */
+export function applyRegionOverlay(region, settings) {
+  const polygons = getRegionPolygons(region);
+  const overlay = polygons.length ? getOverlay(region, REGION_OVERLAY_NAME) : null;
+  if (!overlay) {
+    removeOverlay(region);
+    return null;
+  }
+  // The overlay sits at the region's floor
+  syncOverlaySorting(overlay, region.document?.elevation?.bottom, region.document?.sort ?? 0);
+
+  const color = parseColor(settings.color);
+  const animation = settings.animation && settings.animation !== 'none' ? settings.animation : null;
+  const signature = JSON.stringify({
+    shapes: polygons.map(polygon => polygon.points),
+    color,
+    fill: settings.fill,
+    fillAlpha: settings.fillAlpha,
+    animation: [animation, settings.animationSpeed, settings.animationAmplitude]
+  });
+  if (overlay._rnkSignature === signature) return overlay;
+  overlay._rnkSignature = signature;
+
+  const { boundary, fill } = overlay;
+  boundary.clear();
+  boundary.lineStyle({ width: BOUNDARY_WIDTH, color, alpha: 1, alignment: 0.5 });
+  polygons.forEach(polygon => boundary.drawShape(polygon));
+
+  stopAnimation(fill);
+  fill.clear();
+  fill.alpha = 1;
+  if (settings.fill) {
+    fill.beginFill(color, settings.fillAlpha);
+    fillRegion(fill, region);
+    fill.endFill();
+    if (animation) {
+      startAnimation(fill, {
+        mode: animation,
+        speed: Number(settings.animationSpeed) || 1,
+        amplitude: Number(settings.animationAmplitude ?? 0.5),
+        color
+      });
+    }
+  }
+  return overlay;
+}
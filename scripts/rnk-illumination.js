@@ -4,43 +4,86 @@
  */
 
 import {
+  AVAILABLE_ANIMATIONS,
   AVAILABLE_EFFECTS,
-  AVAILABLE_RANGES,
+  AVAILABLE_GRADIENTS,
   AVAILABLE_SYMBOLS,
+  DEFAULT_CLIENT_PREFERENCES,
+  DEFAULT_COMBAT_SPOTLIGHT,
+  DEFAULT_DISPOSITION_PALETTE,
+  DEFAULT_DOOR_PROFILES,
   DEFAULT_SETTINGS,
   DEFAULT_TARGETING_ENABLED,
-  MODULE_ID
+  LINE_MEASUREMENT_MODES,
+  LINE_VISIBILITY_MODES,
+  MAX_COLOR_STOPS,
+  MAX_EFFECT_LAYERS,
+  MAX_LIGHT_RADIUS,
+  MODULE_ID,
+  QUALITY_MODES
 } from './constants.js';
 import { clearTargetingIndicators, hideTargetingIndicator, showTargetingIndicator } from './targeting.js';
-import { applyEffect, removeEffect, sanitizeColor } from './effects.js';
+import { applyEffect, clearFilterPool, removeEffect } from './effects.js';
+import { clearLightSources, removeLightSource, restoreLightSources, updateLightSource } from './light-source.js';
+import { bindEffectParamControls, getEffectParamContext, readEffectParams } from './effect-params.js';
+import { clearAnimations } from './animations.js';
+import { findMatchingRule, normalizeRules } from './rules.js';
+import { getCombatRole } from './combat.js';
+import {
+  configureQuality,
+  getQualityTier,
+  setQualityMode,
+  startQualityMonitor,
+  stopQualityMonitor
+} from './quality.js';
 import { openIlluminationHub, RNKGMHub } from './hub.js';
+import {
+  adjustUserProfile,
+  applyAnimationPreference,
+  getClientPreferences,
+  prefersReducedMotion,
+  resetClientPreferences,
+  RNKClientPreferences
+} from './preferences.js';
+import { isRangeDataChange, isRangeItemChange } from './range-bands.js';
+import { canSeeToken, isVisionFiltered } from './visibility.js';
+import { removeOverlay } from './overlays.js';
+import { applyRegionOverlay, isRegion } from './regions.js';
+import { applyWallOverlay, getDoorState, getWallType, isWall } from './walls.js';
+import { configureZones, getZoneSettings } from './zones.js';
 import {
   clearTargetingLines,
   clearTargetingLinesForToken,
   configureTargetingLines,
   drawTargetingLine,
+  endTokenPreview,
+  followTokenTargetingLines,
+  refreshTargetingLines,
   removeTargetingLine,
   updateTokenTargetingLines
 } from './targeting-lines.js';
 import { sanitizeSymbol } from './targeting.js';
+import {
+  getColorStopSlots,
+  getDispositionKey,
+  getExtraLayerSlots,
+  normalizeCombatSpotlight,
+  normalizeDispositionPalette,
+  normalizeDoorProfiles,
+  normalizeEffectSettings,
+  normalizeLineStyle,
+  normalizeRegionFill,
+  stackProfiles
+} from './profiles.js';
 
 // Debounce timer for refresh all
 let _refreshAllTimeout = null;
+// Debounce timer for redrawing targeting lines after vision or walls change
+let _lineRedrawTimeout = null;
+// Normalized world profiles keyed by setting, rebuilt when the setting changes
+const _worldProfiles = new Map();
 const PLACEABLE_SETTINGS_FLAG = 'illuminationSettings';
 
-function normalizeEffectSettings(raw = {}) {
-  const customSymbol = typeof raw.customSymbol === 'string' ? raw.customSymbol.trim() : '';
-  const symbolSource = customSymbol || raw.symbol || DEFAULT_SETTINGS.symbol;
-  return {
-    color: sanitizeColor(raw.color || DEFAULT_SETTINGS.color),
-    effect: AVAILABLE_EFFECTS.includes(raw.effect) ? raw.effect : DEFAULT_SETTINGS.effect,
-    symbol: sanitizeSymbol(symbolSource),
-    customSymbol,
-    intensity: Number.parseFloat(raw.intensity) || DEFAULT_SETTINGS.intensity,
-    range: Number.parseInt(raw.range, 10) || DEFAULT_SETTINGS.range
-  };
-}
-
 /**
  * Get user illumination settings with fallback to defaults
  * @param {string} userId - The user ID to get settings for
@@ -52,6 +95,57 @@ function getUserSettings(userId) {
   return normalizeEffectSettings(raw);
 }
 
+/**
+ * Read and normalize a world profile setting once, so per-refresh lookups stay cheap
+ * @param {string} key - Setting key
+ * @param {Function} normalize - Normalizer for the stored value
+ * @returns {*} Normalized setting value
+ */
+function getWorldProfiles(key, normalize) {
+  if (!_worldProfiles.has(key)) {
+    _worldProfiles.set(key, normalize(game.settings.get(MODULE_ID, key)));
+  }
+  return _worldProfiles.get(key);
+}
+
+function onWorldProfilesChange(key) {
+  _worldProfiles.delete(key);
+  refreshAllTokenIllumination();
+}
+
+/**
+ * Get the disposition palette profile for a token with no owner or assignment
+ * @param {object} token - The token to resolve a profile for
+ * @returns {Object|null} Settings object, or null when the disposition has no profile
+ */
+function getDispositionSettings(token) {
+  const disposition = getDispositionKey(token?.document?.disposition);
+  if (!disposition) return null;
+  const palette = getWorldProfiles('dispositionPalette', normalizeDispositionPalette);
+  return palette[disposition];
+}
+
+/**
+ * Get the combat spotlight profile for a token's current turn state
+ * @param {object} token - The token to resolve a profile for
+ * @returns {Object|null} Settings object, or null outside combat or when the spotlight is off
+ */
+function getCombatSpotlightSettings(token) {
+  const spotlight = getWorldProfiles('combatSpotlight', normalizeCombatSpotlight);
+  if (!spotlight.enabled) return null;
+  const role = getCombatRole(token);
+  return role ? spotlight[role] : null;
+}
+
+/**
+ * Get the profile of the highest-priority illumination rule matching a token
+ * @param {object} token - The token to evaluate
+ * @returns {Object|null} Settings object, or null when no rule matches
+ */
+function getRuleSettings(token) {
+  return findMatchingRule(token, getWorldProfiles('illuminationRules', normalizeRules))?.profile ?? null;
+}
+
 function getTargetingVisualsEnabled() {
   return game.settings.get(MODULE_ID, 'targetingEnabled') ?? DEFAULT_TARGETING_ENABLED;
 }
@@ -61,7 +155,8 @@ function getPlaceableSettings(placeable) {
   const raw = placeable.document?.getFlag?.(MODULE_ID, PLACEABLE_SETTINGS_FLAG) ||
     placeable.getFlag?.(MODULE_ID, PLACEABLE_SETTINGS_FLAG);
   if (!raw) return null;
-  return normalizeEffectSettings(raw);
+  const settings = normalizeEffectSettings(raw);
+  return isRegion(placeable) ? { ...settings, ...normalizeRegionFill(raw) } : settings;
 }
 
 async function setPlaceableSettings(placeable, settings) {
@@ -76,22 +171,78 @@ async function clearPlaceableSettings(placeable) {
   await document.unsetFlag(MODULE_ID, PLACEABLE_SETTINGS_FLAG);
 }
 
+/**
+ * Get the door profile for a door's current state
+ * @param {object} wall - The wall to resolve a profile for
+ * @returns {Object|null} Settings object, or null for plain walls or when door profiles are off
+ */
+function getDoorSettings(wall) {
+  const state = getDoorState(wall);
+  if (!state) return null;
+  const profiles = getWorldProfiles('doorProfiles', normalizeDoorProfiles);
+  return profiles.enabled ? profiles[state] : null;
+}
+
+/**
+ * Get the profile a scene object shows: its own profile, or for doors the profile of the door's state
+ * @param {object} placeable
+ * @returns {Object|null}
+ */
+function getObjectSettings(placeable) {
+  // Ambient sound markers are GM tooling, so only GMs see them illuminated
+  if (placeable.document?.documentName === 'AmbientSound' && !game.user?.isGM) return null;
+  // A glowing secret door would give it away, so only GMs see secret doors illuminated
+  if (isWall(placeable) && getWallType(placeable) === 'secret' && !game.user?.isGM) return null;
+  return getPlaceableSettings(placeable) ?? (isWall(placeable) ? getDoorSettings(placeable) : null);
+}
+
+/**
+ * Draw the overlay that carries the effect for placeables with no artwork of their own.
+ * Regions get a boundary drawn from their shapes and walls a line along their coordinates.
+ * @param {object} placeable
+ * @param {Object} settings - Resolved profile
+ * @returns {boolean} False when the placeable needs an overlay that could not be drawn
+ */
+function applyOverlay(placeable, settings) {
+  if (!isRegion(placeable) && !isWall(placeable)) return true;
+  if (getQualityTier() === 'off') return false;
+  const overlay = isRegion(placeable) ? applyRegionOverlay(placeable, settings) : applyWallOverlay(placeable, settings);
+  return Boolean(overlay);
+}
+
 function refreshPlaceableIllumination(placeable) {
   if (!placeable) return;
-  const settings = getPlaceableSettings(placeable);
-  if (settings) {
+  const profile = getObjectSettings(placeable);
+  updateLightSource(placeable, profile);
+  const settings = applyAnimationPreference(profile);
+  if (settings && applyOverlay(placeable, settings)) {
     applyEffect(placeable, settings, false);
   } else {
     removeEffect(placeable);
+    removeOverlay(placeable);
   }
 }
 
+/**
+ * Remove a placeable's effect, overlay, and the scene light it casts
+ * @param {object} placeable
+ */
+function removeIllumination(placeable) {
+  removeEffect(placeable);
+  removeOverlay(placeable);
+  removeLightSource(placeable);
+}
+
 function refreshAllPlaceableIllumination() {
   const placeableGroups = [
     canvas?.tiles?.placeables,
     canvas?.drawings?.placeables,
     canvas?.walls?.placeables,
-    canvas?.lighting?.placeables
+    canvas?.lighting?.placeables,
+    canvas?.regions?.placeables,
+    canvas?.notes?.placeables,
+    canvas?.templates?.placeables,
+    canvas?.sounds?.placeables
   ];
 
   placeableGroups.forEach(group => {
@@ -108,6 +259,72 @@ function getPlaceableLabel(placeable) {
   return rawName.replace(/([a-z])([A-Z])/g, '$1 $2');
 }
 
+/**
+ * Build the gradient select and color stop inputs for a dialog layer row.
+ * @param {string} field - Field prefix, empty for the primary layer
+ * @param {Object} layer - Normalized layer
+ * @returns {string} HTML
+ */
+function buildColorStopFields(field, layer) {
+  const name = key => (field ? `${field}_${key}` : key);
+  const gradientOptions = AVAILABLE_GRADIENTS.map(gradient => {
+    const selected = gradient === layer.gradient ? 'selected' : '';
+    const label = game.i18n.localize(`rnk-illumination.ui.hub.gradients.${gradient}`);
+    return `<option value="${gradient}" ${selected}>${label}</option>`;
+  }).join('');
+  const stopInputs = getColorStopSlots(layer).map(slot => {
+    const toggle = slot.optional
+      ? `<input type="checkbox" name="${name(`stop${slot.number}_enabled`)}" ${slot.enabled ? 'checked' : ''}>`
+      : '';
+    return `${toggle}<input type="color" name="${name(`stop${slot.number}`)}" value="${escapeHtml(slot.color)}">`;
+  }).join('');
+  return `<select name="${name('gradient')}">${gradientOptions}</select>${stopInputs}`;
+}
+
+/**
+ * Read a gradient mode and its color stops from a dialog.
+ * @param {HTMLElement} root - Dialog root
+ * @param {string} field - Field prefix, empty for the primary layer
+ * @returns {{gradient: string, colorStops: string[]}|null} Null when a stop is invalid
+ */
+function readColorStopFields(root, field) {
+  const name = key => (field ? `${field}_${key}` : key);
+  const gradient = root.querySelector(`[name="${name('gradient')}"]`)?.value || 'none';
+  if (!AVAILABLE_GRADIENTS.includes(gradient)) return null;
+  if (gradient === 'none') return { gradient, colorStops: [] };
+
+  const colorStops = [];
+  for (let number = 2; number <= MAX_COLOR_STOPS; number++) {
+    if (number > 2 && !root.querySelector(`[name="${name(`stop${number}_enabled`)}"]`)?.checked) break;
+    const stop = root.querySelector(`[name="${name(`stop${number}`)}"]`)?.value?.trim();
+    if (!/^#[0-9A-F]{6}$/i.test(stop)) return null;
+    colorStops.push(stop);
+  }
+  return { gradient, colorStops };
+}
+
+/**
+ * Build the parameter sliders for a dialog layer row. Mirrors the hub's effect-params partial.
+ * @param {string} field - Field prefix, empty for the primary layer
+ * @param {Object} layer - Normalized layer
+ * @returns {string} HTML
+ */
+function buildEffectParamFields(field, layer) {
+  const name = key => (field ? `${field}_${key}` : key);
+  const { common, groups } = getEffectParamContext(layer);
+  const slider = param => `
+    <label class="rnk-illumination-param">
+      <span>${game.i18n.localize(param.label)}</span>
+      <input type="range" name="${name(param.name)}" value="${param.value}" min="${param.min}" max="${param.max}" step="${param.step}">
+      <output>${param.value}</output>
+    </label>`;
+  const groupHtml = groups.map(group => `
+    <div class="rnk-illumination-param-group" data-effect="${group.effect}" ${group.active ? '' : 'hidden'}>
+      ${group.fields.map(slider).join('')}
+    </div>`).join('');
+  return `<div class="rnk-illumination-params" data-effect-select="${name('effect')}">${common.map(slider).join('')}${groupHtml}</div>`;
+}
+
 function buildPlaceableSettingsDialogContent(placeable, settings) {
   const current = settings ?? normalizeEffectSettings();
   const customSymbol = escapeHtml(current.customSymbol || '');
@@ -116,10 +333,40 @@ function buildPlaceableSettingsDialogContent(placeable, settings) {
     const label = effect === 'none' ? 'None (Disabled)' : effect;
     return `<option value="${effect}" ${selected}>${label}</option>`;
   }).join('');
+  const layerRows = getExtraLayerSlots(current).map(layer => {
+    const layerEffectOptions = AVAILABLE_EFFECTS.map(effect => {
+      const selected = effect === layer.effect ? 'selected' : '';
+      const label = effect === 'none' ? 'None (Disabled)' : effect;
+      return `<option value="${effect}" ${selected}>${label}</option>`;
+    }).join('');
+    return `
+      <div class="form-group rnk-illumination-layer-row">
+        <label>Layer ${layer.number}</label>
+        <select name="layer${layer.index}_effect">${layerEffectOptions}</select>
+        <input type="color" name="layer${layer.index}_color" value="${escapeHtml(layer.color)}">
+        ${buildColorStopFields(`layer${layer.index}`, layer)}
+        ${buildEffectParamFields(`layer${layer.index}`, layer)}
+      </div>
+    `;
+  }).join('');
   const symbolOptions = AVAILABLE_SYMBOLS.map(symbol => {
     const selected = symbol === current.symbol ? 'selected' : '';
     return `<option value="${symbol}" ${selected}>${symbol}</option>`;
   }).join('');
+  const animationOptions = AVAILABLE_ANIMATIONS.map(animation => {
+    const selected = animation === current.animation ? 'selected' : '';
+    const label = animation === 'none' ? 'None' : animation;
+    return `<option value="${animation}" ${selected}>${label}</option>`;
+  }).join('');
+  const regionFields = isRegion(placeable) ? `
+      <div class="form-group">
+        <label>Fill Region</label>
+        <input type="checkbox" name="fill" ${current.fill ? 'checked' : ''}>
+      </div>
+      <div class="form-group">
+        <label>Fill Opacity</label>
+        <input type="number" name="fillAlpha" min="0" max="1" step="0.05" value="${escapeHtml(current.fillAlpha)}">
+      </div>` : '';
 
   return `
     <form class="rnk-illumination-placeable-form">
@@ -127,6 +374,10 @@ function buildPlaceableSettingsDialogContent(placeable, settings) {
         <label>Color</label>
         <input type="color" name="color" value="${escapeHtml(current.color)}">
       </div>
+      <div class="form-group">
+        <label>Gradient</label>
+        ${buildColorStopFields('', current)}
+      </div>
       <div class="form-group">
         <label>Effect</label>
         <select name="effect">${effectOptions}</select>
@@ -140,18 +391,33 @@ function buildPlaceableSettingsDialogContent(placeable, settings) {
         <input type="text" name="customSymbol" value="${customSymbol}" placeholder="Image URL or path">
       </div>
       <div class="form-group">
-        <label>Intensity</label>
-        <input type="number" name="intensity" min="0.1" max="3.0" step="0.1" value="${escapeHtml(current.intensity)}">
+        <label>Parameters</label>
+        ${buildEffectParamFields('', current)}
       </div>
       <div class="form-group">
-        <label>Range</label>
-        <select name="range">
-          ${AVAILABLE_RANGES.map(range => {
-            const selected = Number(range) === Number(current.range) ? 'selected' : '';
-            return `<option value="${range}" ${selected}>${range}px</option>`;
-          }).join('')}
-        </select>
+        <label>Animation</label>
+        <select name="animation">${animationOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>Animation Speed</label>
+        <input type="number" name="animationSpeed" min="0.25" max="4" step="0.25" value="${escapeHtml(current.animationSpeed)}">
+      </div>
+      <div class="form-group">
+        <label>Animation Amplitude</label>
+        <input type="number" name="animationAmplitude" min="0" max="1" step="0.05" value="${escapeHtml(current.animationAmplitude)}">
+      </div>
+      <div class="form-group">
+        <label>Emit Scene Light</label>
+        <input type="checkbox" name="emitLight" ${current.emitLight ? 'checked' : ''}>
       </div>
+      <div class="form-group">
+        <label>Light Radius</label>
+        <input type="number" name="lightRadius" min="0" max="${MAX_LIGHT_RADIUS}" step="1" value="${escapeHtml(current.lightRadius)}">
+      </div>${regionFields}
+      <fieldset class="rnk-illumination-layers">
+        <legend>Additional Layers</legend>
+        ${layerRows}
+      </fieldset>
     </form>
   `;
 }
@@ -201,7 +467,8 @@ function appendIlluminationButton(html, onClick, titleKey = 'rnk-illumination.ui
 }
 
 async function openPlaceableSettingsDialog(placeable, onDone = null) {
-  const currentSettings = getPlaceableSettings(placeable) ?? normalizeEffectSettings();
+  const currentSettings = getPlaceableSettings(placeable) ??
+    (isRegion(placeable) ? { ...normalizeEffectSettings(), ...normalizeRegionFill() } : normalizeEffectSettings());
 
   new Dialog({
     title: `${getPlaceableLabel(placeable)} ${game.i18n.localize('rnk-illumination.ui.object.dialogTitle')}`,
@@ -218,8 +485,13 @@ async function openPlaceableSettingsDialog(placeable, onDone = null) {
           const effect = root.querySelector('[name="effect"]')?.value?.trim() || DEFAULT_SETTINGS.effect;
           const symbol = root.querySelector('[name="symbol"]')?.value?.trim() || DEFAULT_SETTINGS.symbol;
           const customSymbol = root.querySelector('[name="customSymbol"]')?.value?.trim() || '';
-          const intensity = Number.parseFloat(root.querySelector('[name="intensity"]')?.value) || DEFAULT_SETTINGS.intensity;
-          const range = Number.parseInt(root.querySelector('[name="range"]')?.value, 10) || DEFAULT_SETTINGS.range;
+          const animation = root.querySelector('[name="animation"]')?.value?.trim() || DEFAULT_SETTINGS.animation;
+          const animationSpeed = Number.parseFloat(root.querySelector('[name="animationSpeed"]')?.value) || DEFAULT_SETTINGS.animationSpeed;
+          const amplitudeValue = Number.parseFloat(root.querySelector('[name="animationAmplitude"]')?.value);
+          const animationAmplitude = Number.isFinite(amplitudeValue) ? amplitudeValue : DEFAULT_SETTINGS.animationAmplitude;
+          const emitLight = Boolean(root.querySelector('[name="emitLight"]')?.checked);
+          const lightRadiusValue = Number.parseFloat(root.querySelector('[name="lightRadius"]')?.value);
+          const lightRadius = Number.isFinite(lightRadiusValue) ? lightRadiusValue : DEFAULT_SETTINGS.lightRadius;
 
           if (!/^#[0-9A-F]{6}$/i.test(color)) {
             ui.notifications.error('Invalid color format.');
@@ -233,22 +505,74 @@ async function openPlaceableSettingsDialog(placeable, onDone = null) {
             ui.notifications.error('Invalid symbol selection.');
             return;
           }
-          if (intensity < 0.1 || intensity > 3.0) {
-            ui.notifications.error('Intensity must be between 0.1 and 3.0.');
+          if (!AVAILABLE_ANIMATIONS.includes(animation)) {
+            ui.notifications.error('Invalid animation selection.');
+            return;
+          }
+          if (animationSpeed < 0.25 || animationSpeed > 4 || animationAmplitude < 0 || animationAmplitude > 1) {
+            ui.notifications.error('Animation speed must be between 0.25 and 4 and amplitude between 0 and 1.');
             return;
           }
-          if (!AVAILABLE_RANGES.includes(range)) {
-            ui.notifications.error('Invalid range selection.');
+          if (lightRadius < 0 || lightRadius > MAX_LIGHT_RADIUS) {
+            ui.notifications.error(`Light radius must be between 0 and ${MAX_LIGHT_RADIUS}.`);
+            return;
+          }
+          const fillAlpha = Number.parseFloat(root.querySelector('[name="fillAlpha"]')?.value);
+          if (isRegion(placeable) && !(fillAlpha >= 0 && fillAlpha <= 1)) {
+            ui.notifications.error('Fill opacity must be between 0 and 1.');
+            return;
+          }
+
+          const gradient = readColorStopFields(root, '');
+          if (!gradient) {
+            ui.notifications.error('Invalid gradient color stops.');
+            return;
+          }
+
+          const readParams = (field, layerEffect, ownerLabel) => readEffectParams(layerEffect, key => {
+            return root.querySelector(`[name="${field ? `${field}_${key}` : key}"]`)?.value;
+          }, ownerLabel);
+          let primary;
+          const extraLayers = [];
+          try {
+            primary = { effect, color, ...gradient, ...readParams('', effect, 'this object') };
+            for (let index = 1; index < MAX_EFFECT_LAYERS; index++) {
+              const layerEffect = root.querySelector(`[name="layer${index}_effect"]`)?.value?.trim() || 'none';
+              if (layerEffect === 'none') continue;
+              const layerColor = root.querySelector(`[name="layer${index}_color"]`)?.value?.trim() || DEFAULT_SETTINGS.color;
+
+              if (!/^#[0-9A-F]{6}$/i.test(layerColor) || !AVAILABLE_EFFECTS.includes(layerEffect)) {
+                ui.notifications.error(`Invalid settings for layer ${index + 1}.`);
+                return;
+              }
+              const layerGradient = readColorStopFields(root, `layer${index}`);
+              if (!layerGradient) {
+                ui.notifications.error(`Invalid gradient color stops for layer ${index + 1}.`);
+                return;
+              }
+              extraLayers.push({
+                effect: layerEffect,
+                color: layerColor,
+                ...layerGradient,
+                ...readParams(`layer${index}`, layerEffect, `layer ${index + 1}`)
+              });
+            }
+          } catch (err) {
+            ui.notifications.error(err.message);
             return;
           }
 
           const settings = {
-            color,
-            effect,
+            ...primary,
             symbol: sanitizeSymbol(customSymbol || symbol),
             customSymbol,
-            intensity,
-            range
+            animation,
+            animationSpeed,
+            animationAmplitude,
+            emitLight,
+            lightRadius,
+            ...(isRegion(placeable) ? { fill: Boolean(root.querySelector('[name="fill"]')?.checked), fillAlpha } : {}),
+            layers: [primary, ...extraLayers]
           };
 
           await setPlaceableSettings(placeable, settings);
@@ -261,7 +585,7 @@ async function openPlaceableSettingsDialog(placeable, onDone = null) {
         label: game.i18n.localize('rnk-illumination.ui.tile.clear'),
         callback: async () => {
           await clearPlaceableSettings(placeable);
-          removeEffect(placeable);
+          removeIllumination(placeable);
           if (typeof onDone === 'function') onDone();
         }
       },
@@ -270,7 +594,8 @@ async function openPlaceableSettingsDialog(placeable, onDone = null) {
         label: game.i18n.localize('rnk-illumination.ui.tile.cancel')
       }
     },
-    default: 'save'
+    default: 'save',
+    render: html => bindEffectParamControls(getDialogRoot(html))
   }).render(true);
 }
 
@@ -346,6 +671,14 @@ function getUserToken(user) {
 }
 
 configureTargetingLines({ getUserToken });
+configureQuality({
+  onTierChange: () => {
+    // Flowing lines stop below medium quality and start again above it
+    redrawTargetingLines();
+    refreshAllTokenIllumination();
+    refreshAllPlaceableIllumination();
+  }
+});
 
 /**
  * Get the owner of a token
@@ -377,18 +710,15 @@ function getTokenOwner(token) {
   const charOwner = owners.find(u => u.character && actor.id === u.character.id);
   if (charOwner) return charOwner;
 
-  const playerOwner = owners.find(u => !u.isGM);
-  return playerOwner || owners[0] || null;
+  // GMs own every actor, so GM-only ownership leaves the token unowned for the disposition palette
+  return owners.find(u => !u.isGM) || null;
 }
 
 /**
- * Check if a token is targeted by any user
+ * Get every user targeting a token, in user list order
  */
-function getTargetingUser(token) {
-  for (const user of game.users) {
-    if (user.targets?.has(token)) return user;
-  }
-  return null;
+function getTargetingUsers(token) {
+  return game.users.filter(user => user.targets?.has(token));
 }
 
 /**
@@ -440,28 +770,85 @@ async function assignTokenToUser(token, nextUserId) {
  */
 export function refreshTokenIllumination(token) {
   if (!token) return;
-  const targetingUser = getTargetingUser(token);
+  const targetingUsers = getTargetingUsers(token);
+  const targetingUser = targetingUsers[0] ?? null;
   const tokenOwner = getTokenOwner(token);
   const isOwnerTargeting = tokenOwner && isUserTargeting(tokenOwner);
   const targetingVisualsEnabled = getTargetingVisualsEnabled();
+  // Stacking zones and then the combat spotlight layer on top of whichever profile the token would otherwise show
+  const spotlight = getCombatSpotlightSettings(token);
+  const zones = getZoneSettings(token);
+  const withOverlays = settings => stackProfiles(stackProfiles(settings, zones.stack), spotlight);
+  // Game-state rules take priority over replacing zones, which take priority over the owner and disposition profiles
+  const ruleSettings = getRuleSettings(token);
+  const ownerSettings = tokenOwner ? getUserSettings(tokenOwner.id) : null;
+  const ownSettings = ruleSettings || zones.replace || ownerSettings || getDispositionSettings(token);
+
+  // The scene light follows the token's own profile, the same on every client
+  updateLightSource(token, withOverlays(ownSettings));
 
   if (targetingUser || isOwnerTargeting) {
     const activeUser = targetingUser || tokenOwner;
     const settings = getUserSettings(activeUser.id);
-    applyEffect(token, settings);
-    if (targetingVisualsEnabled) {
-      showTargetingIndicator(token, settings.color, settings.symbol);
+    applyTokenEffect(token, withOverlays(adjustUserProfile(settings, activeUser)));
+    if (targetingVisualsEnabled && canSeeToken(token)) {
+      // The token's glow follows the first targeter, while the indicator shows everyone targeting it
+      const targeters = (targetingUsers.length ? targetingUsers : [activeUser]).map(user => {
+        const { color, symbol } = getUserSettings(user.id);
+        const { reticle } = normalizeLineStyle(user.getFlag(MODULE_ID, 'settings')?.line);
+        return { color, symbol, avatar: user.avatar, reticle };
+      });
+      const { indicatorScale, indicatorAvatars } = getClientPreferences();
+      showTargetingIndicator(token, targeters, {
+        scale: indicatorScale,
+        avatars: indicatorAvatars,
+        reducedMotion: prefersReducedMotion()
+      });
     } else {
       hideTargetingIndicator(token);
     }
   } else {
     hideTargetingIndicator(token);
-    if (tokenOwner) {
-      applyEffect(token, getUserSettings(tokenOwner.id));
-    } else {
-      removeEffect(token);
-    }
+    const settings = (!ruleSettings && !zones.replace && ownerSettings) ? adjustUserProfile(ownerSettings, tokenOwner) : ownSettings;
+    applyTokenEffect(token, withOverlays(settings));
+  }
+}
+
+/**
+ * Apply a resolved profile to a token with this client's animation preference, or remove
+ * the effect when nothing should show.
+ * @param {object} token - The token to illuminate
+ * @param {Object|null} settings - Resolved profile
+ */
+function applyTokenEffect(token, settings) {
+  if (!settings) {
+    removeEffect(token);
+    return;
+  }
+  const pulsate = getClientPreferences().disableAnimations ? false : null;
+  applyEffect(token, applyAnimationPreference(settings), pulsate);
+}
+
+/**
+ * Redraw every user's targeting lines, e.g. after the canvas or this client's preferences change
+ */
+function redrawTargetingLines() {
+  if (!getTargetingVisualsEnabled()) {
+    clearTargetingLines();
+    return;
   }
+  refreshTargetingLines();
+}
+
+/**
+ * Redraw every targeting line once a burst of vision or wall changes settles
+ */
+function scheduleTargetingLineRedraw() {
+  if (_lineRedrawTimeout) clearTimeout(_lineRedrawTimeout);
+  _lineRedrawTimeout = setTimeout(() => {
+    _lineRedrawTimeout = null;
+    if (canvas?.ready) redrawTargetingLines();
+  }, 100);
 }
 
 /**
@@ -480,6 +867,8 @@ export function refreshAllTokenIllumination() {
 
 // Hooks
 Hooks.on('init', () => {
+  configureZones({ onZoneChange: token => refreshTokenIllumination(token) });
+
   // Register keybinding for targeting hovered token
   game.keybindings.register(MODULE_ID, 'targetHovered', {
     name: 'rnk-illumination.keybindings.targetHovered.name',
@@ -511,6 +900,119 @@ Hooks.on('init', () => {
     type: Boolean
   });
 
+  game.settings.register(MODULE_ID, 'lineVisibility', {
+    name: 'rnk-illumination.settings.lineVisibility.name',
+    hint: 'rnk-illumination.settings.lineVisibility.hint',
+    scope: 'world',
+    config: false,
+    default: 'tokens',
+    type: String,
+    choices: Object.fromEntries(LINE_VISIBILITY_MODES.map(mode => [mode, `rnk-illumination.settings.lineVisibility.choices.${mode}`])),
+    onChange: () => redrawTargetingLines()
+  });
+
+  // Zero places a marker every grid space, at the scene's own grid distance
+  game.settings.register(MODULE_ID, 'markerInterval', {
+    name: 'rnk-illumination.settings.markerInterval.name',
+    hint: 'rnk-illumination.settings.markerInterval.hint',
+    scope: 'world',
+    config: false,
+    default: 0,
+    type: Number,
+    onChange: () => redrawTargetingLines()
+  });
+
+  game.settings.register(MODULE_ID, 'lineMeasurement', {
+    name: 'rnk-illumination.settings.lineMeasurement.name',
+    hint: 'rnk-illumination.settings.lineMeasurement.hint',
+    scope: 'world',
+    config: false,
+    default: 'center',
+    type: String,
+    choices: Object.fromEntries(LINE_MEASUREMENT_MODES.map(mode => [mode, `rnk-illumination.settings.lineMeasurement.choices.${mode}`])),
+    onChange: () => redrawTargetingLines()
+  });
+
+  // Per-client so players on weaker hardware can trade fidelity for frame rate
+  game.settings.register(MODULE_ID, 'qualityMode', {
+    name: 'rnk-illumination.settings.qualityMode.name',
+    hint: 'rnk-illumination.settings.qualityMode.hint',
+    scope: 'client',
+    config: true,
+    default: 'auto',
+    type: String,
+    choices: Object.fromEntries(QUALITY_MODES.map(mode => [mode, `rnk-illumination.settings.qualityMode.choices.${mode}`])),
+    onChange: value => setQualityMode(value)
+  });
+
+  // Local display preferences; they never change the shared user flags
+  game.settings.register(MODULE_ID, 'clientPreferences', {
+    name: 'rnk-illumination.settings.clientPreferences.name',
+    hint: 'rnk-illumination.settings.clientPreferences.hint',
+    scope: 'client',
+    config: false,
+    default: DEFAULT_CLIENT_PREFERENCES,
+    type: Object,
+    onChange: () => {
+      resetClientPreferences();
+      redrawTargetingLines();
+      refreshAllTokenIllumination();
+      refreshAllPlaceableIllumination();
+    }
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'clientPreferences', {
+    name: 'rnk-illumination.ui.preferences.title',
+    label: 'rnk-illumination.ui.preferences.open',
+    hint: 'rnk-illumination.ui.preferences.hint',
+    icon: 'fas fa-sliders',
+    type: RNKClientPreferences,
+    restricted: false
+  });
+
+  game.settings.register(MODULE_ID, 'dispositionPalette', {
+    name: 'rnk-illumination.settings.dispositionPalette.name',
+    hint: 'rnk-illumination.settings.dispositionPalette.hint',
+    scope: 'world',
+    config: false,
+    default: DEFAULT_DISPOSITION_PALETTE,
+    type: Object,
+    onChange: () => onWorldProfilesChange('dispositionPalette')
+  });
+
+  game.settings.register(MODULE_ID, 'combatSpotlight', {
+    name: 'rnk-illumination.settings.combatSpotlight.name',
+    hint: 'rnk-illumination.settings.combatSpotlight.hint',
+    scope: 'world',
+    config: false,
+    default: DEFAULT_COMBAT_SPOTLIGHT,
+    type: Object,
+    onChange: () => onWorldProfilesChange('combatSpotlight')
+  });
+
+  game.settings.register(MODULE_ID, 'doorProfiles', {
+    name: 'rnk-illumination.settings.doorProfiles.name',
+    hint: 'rnk-illumination.settings.doorProfiles.hint',
+    scope: 'world',
+    config: false,
+    default: DEFAULT_DOOR_PROFILES,
+    type: Object,
+    onChange: () => {
+      _worldProfiles.delete('doorProfiles');
+      refreshAllPlaceableIllumination();
+    }
+  });
+
+  game.settings.register(MODULE_ID, 'illuminationRules', {
+    name: 'rnk-illumination.settings.illuminationRules.name',
+    hint: 'rnk-illumination.settings.illuminationRules.hint',
+    scope: 'world',
+    config: false,
+    default: [],
+    type: Array,
+    onChange: () => onWorldProfilesChange('illuminationRules')
+  });
+
   if (game.user?.isGM) {
     game.settings.registerMenu(MODULE_ID, 'gmHub', {
       name: 'rnk-illumination.ui.hub.title',
@@ -524,25 +1026,28 @@ Hooks.on('init', () => {
 });
 
 Hooks.on('ready', () => {
+  setQualityMode(game.settings.get(MODULE_ID, 'qualityMode'));
   if (canvas?.tokens?.placeables) refreshAllTokenIllumination();
   if (canvas?.tiles?.placeables) refreshAllPlaceableIllumination();
 });
 
 Hooks.on('canvasReady', () => {
+  startQualityMonitor();
   clearTargetingIndicators();
-  clearTargetingLines();
-  if (getTargetingVisualsEnabled()) {
-    game.users.forEach(u => {
-      u.targets.forEach(t => {
-        const settings = getUserSettings(u.id);
-        drawTargetingLine(u, t, settings.color, settings.symbol);
-      });
-    });
-  }
+  redrawTargetingLines();
   refreshAllTokenIllumination();
   refreshAllPlaceableIllumination();
 });
 
+// Foundry rebuilds the scene's light sources when walls or lights change; put module lights back
+Hooks.on('initializeLightSources', () => restoreLightSources());
+
+// Vision changes as tokens move or doors open, so players' lines are redrawn against the new vision
+Hooks.on('sightRefresh', () => {
+  if (!isVisionFiltered()) return;
+  scheduleTargetingLineRedraw();
+});
+
 Hooks.on('targetToken', (user, token, isTargeted) => {
   setTimeout(() => {
     refreshTokenIllumination(token);
@@ -562,11 +1067,21 @@ Hooks.on('targetToken', (user, token, isTargeted) => {
         } else {
           removeTargetingLine(user, token);
         }
+        // Other users' arcs to this token re-spread around the added or removed line
+        if (getTargetingVisualsEnabled()) updateTokenTargetingLines(token);
       }
     }
   }, 50);
 });
 
+// Restyle a user's lines on every client when their hub settings change
+Hooks.on('updateUser', (user, changes) => {
+  const settingsChanged = foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.settings`);
+  // Target indicators show each targeter's reticle and, when shared, their avatar
+  if (settingsChanged || 'avatar' in changes) user.targets?.forEach(token => refreshTokenIllumination(token));
+  if (settingsChanged) redrawTargetingLines();
+});
+
 Hooks.on('createToken', (tokenDoc) => {
   if (tokenDoc.object) refreshTokenIllumination(tokenDoc.object);
 });
@@ -581,34 +1096,110 @@ Hooks.on('createDrawing', (drawingDoc) => {
 
 Hooks.on('createWall', (wallDoc) => {
   if (wallDoc.object) refreshPlaceableIllumination(wallDoc.object);
+  scheduleTargetingLineRedraw();
 });
 
 Hooks.on('createAmbientLight', (lightDoc) => {
   if (lightDoc.object) refreshPlaceableIllumination(lightDoc.object);
 });
 
+Hooks.on('createRegion', (regionDoc) => {
+  if (regionDoc.object) refreshPlaceableIllumination(regionDoc.object);
+});
+
+Hooks.on('createNote', (noteDoc) => {
+  if (noteDoc.object) refreshPlaceableIllumination(noteDoc.object);
+});
+
+Hooks.on('createMeasuredTemplate', (templateDoc) => {
+  if (templateDoc.object) refreshPlaceableIllumination(templateDoc.object);
+});
+
+Hooks.on('createAmbientSound', (soundDoc) => {
+  if (soundDoc.object) refreshPlaceableIllumination(soundDoc.object);
+});
+
 Hooks.on('updateToken', (tokenDoc, changes) => {
   // Prefer the canvas token (up-to-date position) over the document's .object
   const token = canvas?.tokens?.get(tokenDoc.id) || tokenDoc.object;
 
-  if (changes.actorLink || changes.actorId || changes.disposition) {
+  // Neutral disposition is 0, so test for the key rather than a truthy value
+  if ("actorLink" in changes || "actorId" in changes || "disposition" in changes) {
     if (token) refreshTokenIllumination(token);
   }
 
-  // Update targeting lines when tokens move: clear immediately, redraw after
-  // animation completes so lines appear at the final resting position.
-  if ("x" in changes || "y" in changes || "elevation" in changes) {
-    if (token) {
-      clearTargetingLinesForToken(token);
-      // Short delay to let the token arrive at its new position before redrawing.
-      setTimeout(() => {
-        const t = canvas?.tokens?.get(tokenDoc.id);
-        if (t) updateTokenTargetingLines(t);
-      }, 350);
-    }
+  // Lines follow moving tokens frame by frame from refreshToken; elevation and size changes
+  // are redrawn here, since size moves the corners the cover test samples
+  if ("elevation" in changes || "width" in changes || "height" in changes) {
+    if (token) followTokenTargetingLines(token);
   }
 });
 
+/**
+ * Refresh every token of an actor so illumination rules are re-evaluated
+ * @param {Actor} actor
+ */
+function refreshActorIllumination(actor) {
+  if (!actor?.getActiveTokens) return;
+  actor.getActiveTokens().forEach(token => refreshTokenIllumination(token));
+}
+
+function getEffectActor(effect) {
+  const parent = effect?.parent;
+  if (parent?.documentName === 'Actor') return parent;
+  if (parent?.parent?.documentName === 'Actor') return parent.parent;
+  return null;
+}
+
+/**
+ * Redraw the targeting lines drawn from an actor's tokens when a change touches the data their
+ * range bands read
+ * @param {Actor} actor
+ * @param {function(Object): boolean} isRangeChange - Whether the change touches a user's range paths
+ */
+function redrawActorRangeLines(actor, isRangeChange) {
+  if (!actor || !canvas?.ready || !getTargetingVisualsEnabled()) return;
+  game.users.forEach(user => {
+    if (getUserToken(user)?.actor !== actor) return;
+    if (!isRangeChange(user.getFlag(MODULE_ID, 'settings'))) return;
+    const settings = getUserSettings(user.id);
+    user.targets.forEach(target => drawTargetingLine(user, target, settings.color, settings.symbol));
+  });
+}
+
+Hooks.on('updateActor', (actor, changes) => {
+  refreshActorIllumination(actor);
+  // Range bands can be read from actor and item data
+  redrawActorRangeLines(actor, settings => isRangeDataChange(settings, changes));
+});
+
+Hooks.on('createItem', (item) => redrawActorRangeLines(item.parent, settings => isRangeItemChange(settings, item)));
+Hooks.on('updateItem', (item, changes) => redrawActorRangeLines(item.parent, settings => isRangeItemChange(settings, item, changes)));
+Hooks.on('deleteItem', (item) => redrawActorRangeLines(item.parent, settings => isRangeItemChange(settings, item)));
+
+Hooks.on('createActiveEffect', (effect) => {
+  refreshActorIllumination(getEffectActor(effect));
+});
+
+Hooks.on('updateActiveEffect', (effect) => {
+  refreshActorIllumination(getEffectActor(effect));
+});
+
+Hooks.on('deleteActiveEffect', (effect) => {
+  refreshActorIllumination(getEffectActor(effect));
+});
+
+// Combat turn changes move the spotlight between tokens. combatTurn and combatRound fire
+// before the update lands, so the debounced refresh reads the settled combat state.
+Hooks.on('combatStart', () => refreshAllTokenIllumination());
+Hooks.on('combatTurn', () => refreshAllTokenIllumination());
+Hooks.on('combatRound', () => refreshAllTokenIllumination());
+Hooks.on('updateCombat', () => refreshAllTokenIllumination());
+Hooks.on('deleteCombat', () => refreshAllTokenIllumination());
+Hooks.on('createCombatant', () => refreshAllTokenIllumination());
+Hooks.on('updateCombatant', () => refreshAllTokenIllumination());
+Hooks.on('deleteCombatant', () => refreshAllTokenIllumination());
+
 Hooks.on('updateTile', (tileDoc) => {
   const tile = canvas?.tiles?.get(tileDoc.id) || tileDoc.object;
   if (tile) refreshPlaceableIllumination(tile);
@@ -619,9 +1210,12 @@ Hooks.on('updateDrawing', (drawingDoc) => {
   if (drawing) refreshPlaceableIllumination(drawing);
 });
 
+// Door state changes ("ds") switch a door to the profile for its new state
 Hooks.on('updateWall', (wallDoc) => {
   const wall = canvas?.walls?.get(wallDoc.id) || wallDoc.object;
   if (wall) refreshPlaceableIllumination(wall);
+  // Moved walls and opened, closed, or locked doors change line of sight and cover
+  scheduleTargetingLineRedraw();
 });
 
 Hooks.on('updateAmbientLight', (lightDoc) => {
@@ -629,19 +1223,41 @@ Hooks.on('updateAmbientLight', (lightDoc) => {
   if (light) refreshPlaceableIllumination(light);
 });
 
-// When a token drag starts, clear its lines so they don't stick at old positions.
-// Lines are redrawn in the updateToken hook after animation completes.
-Hooks.on('preUpdateToken', (tokenDoc, changes) => {
-  if ("x" in changes || "y" in changes) {
-    const token = canvas?.tokens?.get(tokenDoc.id) || tokenDoc.object;
-    if (token) clearTargetingLinesForToken(token);
-  }
+Hooks.on('updateRegion', (regionDoc) => {
+  const region = canvas?.regions?.get(regionDoc.id) || regionDoc.object;
+  if (region) refreshPlaceableIllumination(region);
 });
 
-Hooks.on('refreshToken', (token) => {
+Hooks.on('updateNote', (noteDoc) => {
+  const note = canvas?.notes?.get(noteDoc.id) || noteDoc.object;
+  if (note) refreshPlaceableIllumination(note);
+});
+
+Hooks.on('updateMeasuredTemplate', (templateDoc) => {
+  const template = canvas?.templates?.get(templateDoc.id) || templateDoc.object;
+  if (template) refreshPlaceableIllumination(template);
+});
+
+Hooks.on('updateAmbientSound', (soundDoc) => {
+  const sound = canvas?.sounds?.get(soundDoc.id) || soundDoc.object;
+  if (sound) refreshPlaceableIllumination(sound);
+});
+
+// Zone behaviors are added, edited, and toggled without any token moving
+Hooks.on('createRegionBehavior', () => refreshAllTokenIllumination());
+Hooks.on('updateRegionBehavior', () => refreshAllTokenIllumination());
+Hooks.on('deleteRegionBehavior', () => refreshAllTokenIllumination());
+
+// Position refreshes fire every frame of movement animation and drag previews
+Hooks.on('refreshToken', (token, flags) => {
+  if (flags?.refreshPosition || flags?.refreshSize) followTokenTargetingLines(token);
   refreshTokenIllumination(token);
 });
 
+Hooks.on('destroyToken', (token) => {
+  if (token.isPreview) endTokenPreview(token);
+});
+
 Hooks.on('refreshTile', (tile) => {
   refreshPlaceableIllumination(tile);
 });
@@ -658,10 +1274,26 @@ Hooks.on('refreshAmbientLight', (light) => {
   refreshPlaceableIllumination(light);
 });
 
+Hooks.on('refreshRegion', (region) => {
+  refreshPlaceableIllumination(region);
+});
+
+Hooks.on('refreshNote', (note) => {
+  refreshPlaceableIllumination(note);
+});
+
+Hooks.on('refreshMeasuredTemplate', (template) => {
+  refreshPlaceableIllumination(template);
+});
+
+Hooks.on('refreshAmbientSound', (sound) => {
+  refreshPlaceableIllumination(sound);
+});
+
 Hooks.on('deleteToken', (tokenDoc) => {
   if (tokenDoc.object) {
-    removeEffect(tokenDoc.object);
-    hideTargetingIndicator(tokenDoc.object);
+    removeIllumination(tokenDoc.object);
+    hideTargetingIndicator(tokenDoc.object, { animate: false });
     clearTargetingLinesForToken(tokenDoc.object);
   }
   // If the token being removed was remembered as the GM origin, clear the
@@ -674,32 +1306,63 @@ Hooks.on('deleteToken', (tokenDoc) => {
 
 Hooks.on('deleteTile', (tileDoc) => {
   if (tileDoc.object) {
-    removeEffect(tileDoc.object);
+    removeIllumination(tileDoc.object);
     clearPlaceableSettings(tileDoc.object).catch(() => {});
   }
 });
 
 Hooks.on('deleteDrawing', (drawingDoc) => {
   if (drawingDoc.object) {
-    removeEffect(drawingDoc.object);
+    removeIllumination(drawingDoc.object);
     clearPlaceableSettings(drawingDoc.object).catch(() => {});
   }
 });
 
 Hooks.on('deleteWall', (wallDoc) => {
   if (wallDoc.object) {
-    removeEffect(wallDoc.object);
+    removeIllumination(wallDoc.object);
     clearPlaceableSettings(wallDoc.object).catch(() => {});
   }
+  scheduleTargetingLineRedraw();
 });
 
 Hooks.on('deleteAmbientLight', (lightDoc) => {
   if (lightDoc.object) {
-    removeEffect(lightDoc.object);
+    removeIllumination(lightDoc.object);
     clearPlaceableSettings(lightDoc.object).catch(() => {});
   }
 });
 
+Hooks.on('deleteRegion', (regionDoc) => {
+  if (regionDoc.object) {
+    removeIllumination(regionDoc.object);
+    clearPlaceableSettings(regionDoc.object).catch(() => {});
+  }
+  // Tokens standing in a deleted illumination zone lose its profile
+  refreshAllTokenIllumination();
+});
+
+Hooks.on('deleteNote', (noteDoc) => {
+  if (noteDoc.object) {
+    removeIllumination(noteDoc.object);
+    clearPlaceableSettings(noteDoc.object).catch(() => {});
+  }
+});
+
+Hooks.on('deleteMeasuredTemplate', (templateDoc) => {
+  if (templateDoc.object) {
+    removeIllumination(templateDoc.object);
+    clearPlaceableSettings(templateDoc.object).catch(() => {});
+  }
+});
+
+Hooks.on('deleteAmbientSound', (soundDoc) => {
+  if (soundDoc.object) {
+    removeIllumination(soundDoc.object);
+    clearPlaceableSettings(soundDoc.object).catch(() => {});
+  }
+});
+
 // Add a little toggle button to the token HUD for GMs to mark the origin
 // token used when drawing targeting lines.  The button appears on tokens
 // that have no player owners (NPCs).
@@ -849,11 +1512,44 @@ Hooks.on('renderAmbientLightConfig', (app, html, data) => {
   appendIlluminationButton(html, () => openPlaceableSettingsDialog(light), 'rnk-illumination.ui.object.configure');
 });
 
+// Regions have no HUD, so the button lives in the region config sheet
+Hooks.on('renderRegionConfig', (app, html, data) => {
+  if (!isCoGM(game.user)) return;
+
+  const region = app.object ?? app.document?.object ?? app.document;
+  if (!region) return;
+  appendIlluminationButton(html, () => openPlaceableSettingsDialog(region), 'rnk-illumination.ui.object.configure');
+});
+
+Hooks.on('renderNoteConfig', (app, html, data) => {
+  if (!isCoGM(game.user)) return;
+
+  const note = app.object ?? app.document?.object ?? app.document;
+  if (!note) return;
+  appendIlluminationButton(html, () => openPlaceableSettingsDialog(note), 'rnk-illumination.ui.object.configure');
+});
+
+Hooks.on('renderMeasuredTemplateConfig', (app, html, data) => {
+  if (!isCoGM(game.user)) return;
+
+  const template = app.object ?? app.document?.object ?? app.document;
+  if (!template) return;
+  appendIlluminationButton(html, () => openPlaceableSettingsDialog(template), 'rnk-illumination.ui.object.configure');
+});
+
+Hooks.on('renderAmbientSoundConfig', (app, html, data) => {
+  if (!isCoGM(game.user)) return;
+
+  const sound = app.object ?? app.document?.object ?? app.document;
+  if (!sound) return;
+  appendIlluminationButton(html, () => openPlaceableSettingsDialog(sound), 'rnk-illumination.ui.object.configure');
+});
+
 Hooks.on('canvasTearDown', () => {
   if (canvas?.tokens?.placeables) {
     canvas.tokens.placeables.forEach(token => {
       removeEffect(token);
-      hideTargetingIndicator(token);
+      hideTargetingIndicator(token, { animate: false });
     });
   }
   if (canvas?.tiles?.placeables) {
@@ -866,8 +1562,29 @@ Hooks.on('canvasTearDown', () => {
       removeEffect(drawing);
     });
   }
+  if (canvas?.regions?.placeables) {
+    canvas.regions.placeables.forEach(region => {
+      removeEffect(region);
+      removeOverlay(region);
+    });
+  }
+  if (canvas?.walls?.placeables) {
+    canvas.walls.placeables.forEach(wall => {
+      removeEffect(wall);
+      removeOverlay(wall);
+    });
+  }
+  [canvas?.notes, canvas?.templates, canvas?.sounds].forEach(layer => {
+    layer?.placeables?.forEach(placeable => removeEffect(placeable));
+  });
+  if (_lineRedrawTimeout) clearTimeout(_lineRedrawTimeout);
+  _lineRedrawTimeout = null;
   clearTargetingIndicators();
   clearTargetingLines();
+  clearLightSources();
+  clearAnimations();
+  clearFilterPool();
+  stopQualityMonitor();
 });
 
 // Button Registration Standard
@@ -0,0 +1,120 @@
+/**
+ * RNK™ Illumination - Illumination Rules
+ */
+
+import { AVAILABLE_RULE_TYPES, RULE_OPERATORS } from './constants.js';
+import { normalizeEffectSettings } from './profiles.js';
+
+/**
+ * Normalize a stored rule
+ * @param {Object} raw - Raw rule data from the world setting
+ * @returns {Object} Normalized rule with a normalized effect profile
+ */
+export function normalizeRule(raw = {}) {
+  const priority = Number.parseInt(raw.priority, 10);
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : foundry.utils.randomID(),
+    name: typeof raw.name === 'string' ? raw.name.trim() : '',
+    enabled: raw.enabled !== false,
+    type: AVAILABLE_RULE_TYPES.includes(raw.type) ? raw.type : AVAILABLE_RULE_TYPES[0],
+    match: typeof raw.match === 'string' ? raw.match.trim() : '',
+    path: typeof raw.path === 'string' ? raw.path.trim() : '',
+    divisorPath: typeof raw.divisorPath === 'string' ? raw.divisorPath.trim() : '',
+    operator: RULE_OPERATORS.includes(raw.operator) ? raw.operator : RULE_OPERATORS[0],
+    value: raw.value === undefined || raw.value === null ? '' : String(raw.value).trim(),
+    priority: Number.isFinite(priority) ? priority : 0,
+    profile: normalizeEffectSettings(raw.profile)
+  };
+}
+
+/**
+ * Normalize the stored rule list, ordered by descending priority. Rules with equal
+ * priority keep their list order.
+ * @param {Array<Object>} raw - Stored rules
+ * @returns {Array<Object>}
+ */
+export function normalizeRules(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map((rule, index) => ({ rule: normalizeRule(rule), index }))
+    .sort((a, b) => (b.rule.priority - a.rule.priority) || (a.index - b.index))
+    .map(entry => entry.rule);
+}
+
+function compare(left, operator, right) {
+  const leftNumber = Number(left);
+  const rightNumber = Number(right);
+  const numeric = left !== '' && right !== '' && Number.isFinite(leftNumber) && Number.isFinite(rightNumber);
+  const a = numeric ? leftNumber : String(left);
+  const b = numeric ? rightNumber : String(right);
+
+  switch (operator) {
+    case '<': return numeric && a < b;
+    case '<=': return numeric && a <= b;
+    case '>': return numeric && a > b;
+    case '>=': return numeric && a >= b;
+    case '==': return a === b;
+    case '!=': return a !== b;
+    default: return false;
+  }
+}
+
+function hasStatus(token, statusId) {
+  if (token.actor?.statuses?.has(statusId)) return true;
+  return Boolean(token.document?.hasStatusEffect?.(statusId));
+}
+
+function hasActiveEffect(actor, name) {
+  if (!actor) return false;
+  const target = name.toLowerCase();
+  const effects = actor.appliedEffects ?? Array.from(actor.effects ?? []).filter(effect => !effect.disabled);
+  return effects.some(effect => (effect.name || '').toLowerCase() === target);
+}
+
+function matchesAttribute(actor, rule) {
+  if (!actor || !rule.path) return false;
+  let value = foundry.utils.getProperty(actor, rule.path);
+  if (value === undefined || value === null) return false;
+
+  // A divisor path turns the comparison into a ratio, e.g. current hp over max hp
+  if (rule.divisorPath) {
+    const divisor = Number(foundry.utils.getProperty(actor, rule.divisorPath));
+    if (!Number.isFinite(divisor) || divisor === 0) return false;
+    value = Number(value) / divisor;
+    if (!Number.isFinite(value)) return false;
+  }
+  return compare(value, rule.operator, rule.value);
+}
+
+/**
+ * Test a single rule against a token
+ * @param {object} token - Token placeable
+ * @param {Object} rule - Normalized rule
+ * @returns {boolean}
+ */
+export function ruleMatches(token, rule) {
+  if (!token || !rule?.enabled) return false;
+  switch (rule.type) {
+    case 'status': return Boolean(rule.match) && hasStatus(token, rule.match);
+    case 'effect': return Boolean(rule.match) && hasActiveEffect(token.actor, rule.match);
+    case 'attribute': return matchesAttribute(token.actor, rule);
+    default: return false;
+  }
+}
+
+/**
+ * Find the highest-priority rule matching a token
+ * @param {object} token - Token placeable
+ * @param {Array<Object>} rules - Normalized rules, ordered by priority
+ * @returns {Object|null} The matching rule
+ */
+export function findMatchingRule(token, rules) {
+  for (const rule of rules) {
+    try {
+      if (ruleMatches(token, rule)) return rule;
+    } catch (err) {
+      console.error(`RNK™ Illumination | Failed to evaluate rule ${rule.name || rule.id}`, err);
+    }
+  }
+  return null;
+}
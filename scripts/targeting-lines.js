@@ -2,11 +2,32 @@
  * RNK™ Illumination - Targeting Lines
  */
 
-import { AVAILABLE_SYMBOLS, DEFAULT_SETTINGS, IMAGE_URL_RE, MODULE_ID } from './constants.js';
+import { AVAILABLE_SYMBOLS, COVER_COLORS, DEFAULT_SETTINGS, IMAGE_URL_RE, LINE_MEASUREMENT_MODES, MODULE_ID } from './constants.js';
+import { getBlockedFraction, getCoverLevel, splitAtBlock } from './line-of-sight.js';
+import { clearLineFlows, drawArrowhead, drawLineStroke, getLinePath, startLineFlow } from './line-styles.js';
 import { drawSymbol } from './targeting.js';
+import { isTargetingLineHidden } from './preferences.js';
+import { normalizeLineStyle } from './profiles.js';
+import { getRangeBand, getRangeBandColor, getRangeBands, splitByRangeBand } from './range-bands.js';
+import { canSeeToken, getLineVisibilityMode, getVisibleSegments, isPointVisible, isVisionFiltered } from './visibility.js';
 
 const _targetingLines = new Map();
 let _getUserToken = () => null;
+// Drag previews standing in for their tokens, keyed by token ID
+const _previews = new Map();
+// Tokens whose lines are redrawn on the next frame
+const _followedTokens = new Set();
+let _followQueued = false;
+// Followed tokens whose lines are measured again once they stop moving
+const _settlingTokens = new Set();
+let _settleTimeout = null;
+const SETTLE_MS = 150;
+
+// Spacing of the distance samples used to place markers, as a fraction of a grid space
+const MARKER_SAMPLE_FRACTION = 0.25;
+const MAX_MARKER_SAMPLES = 400;
+// Opacity of the stretch of a line beyond a blocking wall, relative to the line's own opacity
+const BLOCKED_OPACITY = 0.4;
 
 function makePointerPassthrough(displayObject) {
   if (!displayObject) return displayObject;
@@ -24,6 +45,209 @@ export function configureTargetingLines({ getUserToken } = {}) {
   }
 }
 
+function getWorldSetting(key, fallback) {
+  try { return game.settings.get(MODULE_ID, key) ?? fallback; } catch (err) { return fallback; }
+}
+
+/**
+ * Get the distance between distance markers, in scene units. Defaults to the scene's grid distance.
+ * @returns {number}
+ */
+function getMarkerInterval() {
+  const interval = Number(getWorldSetting('markerInterval', 0));
+  return interval > 0 ? interval : (canvas.scene?.grid?.distance || 5);
+}
+
+/**
+ * Measure the distance between two canvas points with the scene grid's measurement rules,
+ * so hex grids and alternating diagonals match the ruler.
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @returns {number} Distance in scene units
+ */
+function measureDistance(from, to) {
+  const grid = canvas.grid;
+  if (typeof grid?.measurePath === 'function') return grid.measurePath([from, to]).distance;
+  const pixels = Math.hypot(to.x - from.x, to.y - from.y);
+  return (pixels / grid.size) * (canvas.scene.grid.distance || 5);
+}
+
+/**
+ * Get the bounds a token is drawn at right now. During movement animation the token is drawn
+ * between its old and new position, and while it is dragged its preview stands in for it.
+ * @param {Token} token
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getLiveBounds(token) {
+  const preview = _previews.get(token.id);
+  const source = preview && !preview.destroyed ? preview : token;
+  return {
+    x: source.x,
+    y: source.y,
+    width: source.w ?? source.bounds?.width ?? 0,
+    height: source.h ?? source.bounds?.height ?? 0
+  };
+}
+
+/**
+ * Get the center a token is drawn at right now.
+ * @param {Token} token
+ * @returns {{x: number, y: number}}
+ */
+function getLiveCenter(token) {
+  const { x, y, width, height } = getLiveBounds(token);
+  return { x: x + width / 2, y: y + height / 2 };
+}
+
+/**
+ * Find where the line from a token's center toward a point crosses the token's border.
+ * @param {Token} token
+ * @param {{x: number, y: number}} toward
+ * @returns {{x: number, y: number}}
+ */
+function getBorderPoint(token, toward) {
+  const { width, height } = getLiveBounds(token);
+  const { x, y } = getLiveCenter(token);
+  const dx = toward.x - x;
+  const dy = toward.y - y;
+  const halfW = width / 2;
+  const halfH = height / 2;
+  const t = Math.min(dx ? halfW / Math.abs(dx) : Infinity, dy ? halfH / Math.abs(dy) : Infinity);
+  if (!Number.isFinite(t)) return { x, y };
+  return { x: x + dx * Math.min(t, 1), y: y + dy * Math.min(t, 1) };
+}
+
+/**
+ * Get the start and end of a targeting line: token centers, or the facing points on the
+ * token borders when the world measures edge to edge.
+ * @param {Token} userToken
+ * @param {Token} targetToken
+ * @returns {{start: {x: number, y: number}, end: {x: number, y: number}}}
+ */
+function getLineEndpoints(userToken, targetToken) {
+  const from = getLiveCenter(userToken);
+  const to = getLiveCenter(targetToken);
+  const mode = getWorldSetting('lineMeasurement', 'center');
+  if (!LINE_MEASUREMENT_MODES.includes(mode) || mode === 'center') return { start: from, end: to };
+  const start = getBorderPoint(userToken, to);
+  const end = getBorderPoint(targetToken, from);
+  // Overlapping tokens have no gap between their borders
+  const reversed = (end.x - start.x) * (to.x - from.x) + (end.y - start.y) * (to.y - from.y) <= 0;
+  return reversed ? { start, end: start } : { start, end };
+}
+
+/**
+ * Pick how far a user's arc bends. Users drawing arcs from the same origin to the same target
+ * each take the next bend, so their lines curve apart instead of overlapping.
+ * @param {User} user
+ * @param {Token} userToken
+ * @param {Token} targetToken
+ * @returns {number} Arc index, starting at 1
+ */
+function getArcBend(user, userToken, targetToken) {
+  const sharing = game.users.filter(other => {
+    if (!other.targets?.has(targetToken) || _getUserToken(other) !== userToken) return false;
+    return normalizeLineStyle(other.getFlag(MODULE_ID, 'settings')?.line).style === 'arc';
+  });
+  return Math.max(0, sharing.findIndex(other => other.id === user.id)) + 1;
+}
+
+/**
+ * Sample the measured distance along a line with the grid's measurement rules, so positions
+ * found from the samples sit where the ruler would read each distance.
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} end
+ * @returns {Array<{t: number, distance: number}>} Samples from the start to the end of the line
+ */
+function sampleLineDistances(start, end) {
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  const step = Math.max(1, (canvas.grid?.size || 100) * MARKER_SAMPLE_FRACTION);
+  const count = Math.min(MAX_MARKER_SAMPLES, Math.max(1, Math.ceil(length / step)));
+  const samples = [{ t: 0, distance: 0 }];
+  for (let i = 1; i <= count; i++) {
+    const t = i / count;
+    samples.push({ t, distance: measureDistance(start, { x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t }) });
+  }
+  return samples;
+}
+
+/**
+ * Find the fraction of a line where the measured distance reaches a value.
+ * @param {Array<{t: number, distance: number}>} samples - Samples from sampleLineDistances
+ * @param {number} distance - Distance in scene units
+ * @returns {number|null} Fraction along the line, or null when the line is shorter
+ */
+function getDistanceFraction(samples, distance) {
+  const index = samples.findIndex(sample => sample.distance >= distance);
+  if (index < 0) return null;
+  if (index === 0) return 0;
+  const previous = samples[index - 1];
+  const next = samples[index];
+  const fraction = (distance - previous.distance) / ((next.distance - previous.distance) || 1);
+  return previous.t + (next.t - previous.t) * fraction;
+}
+
+/**
+ * Find where each distance marker falls along a line.
+ * @param {Array<{t: number, distance: number}>} samples - Samples from sampleLineDistances
+ * @param {number} interval - Marker spacing in scene units
+ * @returns {Array<{t: number, distance: number}>} Markers as fractions along the line
+ */
+function getMarkerPositions(samples, interval) {
+  const markers = [];
+  let previous = samples[0];
+  let next = interval;
+  for (const sample of samples.slice(1)) {
+    while (sample.distance >= next) {
+      const fraction = (next - previous.distance) / ((sample.distance - previous.distance) || 1);
+      markers.push({ t: previous.t + (sample.t - previous.t) * fraction, distance: next });
+      next = Math.round((next + interval) * 1000) / 1000;
+    }
+    previous = sample;
+  }
+  return markers;
+}
+
+/**
+ * Get a key for the grid space a point is in. Gridless scenes use grid-sized squares.
+ * @param {{x: number, y: number}} point
+ * @returns {string}
+ */
+function getGridCellKey(point) {
+  const grid = canvas.grid;
+  if (grid && !grid.isGridless && typeof grid.getOffset === 'function') {
+    const { i, j } = grid.getOffset(point);
+    return `${i},${j}`;
+  }
+  const size = grid?.size || 100;
+  return `${Math.floor(point.y / size)},${Math.floor(point.x / size)}`;
+}
+
+/**
+ * Take the measurements of a line that are costly to repeat: grid distances along it, its range
+ * band breakpoints and markers, where a wall blocks it, and the cover of its target.
+ * @param {Object} path - Line path from getLinePath
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} end
+ * @param {Object} context
+ * @returns {Object}
+ */
+function measureLine(path, start, end, { userSettings, userToken, targetToken, lineStyle }) {
+  const samples = sampleLineDistances(start, end);
+  const totalDistance = samples[samples.length - 1].distance;
+  const bands = getRangeBands(userSettings, userToken);
+  return {
+    totalDistance,
+    bands,
+    normalAt: bands ? getDistanceFraction(samples, bands.normal) : null,
+    maxAt: bands ? getDistanceFraction(samples, bands.max) : null,
+    targetBand: bands ? getRangeBand(totalDistance, bands) : 'normal',
+    markers: getMarkerPositions(samples, getMarkerInterval()),
+    blockedAt: getBlockedFraction(path, lineStyle.style === 'arc'),
+    cover: getCoverLevel(getLiveCenter(userToken), getLiveBounds(targetToken))
+  };
+}
+
 function getTargetingLineGraphics(userId, targetId) {
   if (!_targetingLines.has(userId)) {
     _targetingLines.set(userId, new Map());
@@ -46,6 +270,7 @@ function clearGraphics(graphics) {
   while (graphics.children.length > 0) {
     graphics.children[0]?.destroy({ children: true });
   }
+  graphics._rnkChildren?.clear();
   graphics.clear();
   if (graphics.geometry) graphics.geometry.invalidate();
 }
@@ -58,114 +283,343 @@ function destroyGraphics(graphics) {
   }
 }
 
-function addMarkerSymbol(graphics, symbol, x, y, colorValue) {
-  if (typeof symbol !== 'string') symbol = DEFAULT_SETTINGS.symbol;
+/**
+ * Start redrawing a line in place. Its labels, markers, and badges are kept and reused by key,
+ * so a line that follows a moving token every frame does not rebuild its text objects.
+ * @param {PIXI.Graphics} graphics - Line graphics
+ */
+function beginLineDraw(graphics) {
+  graphics.clear();
+  graphics._rnkChildren ??= new Map();
+  graphics._rnkUsed = new Set();
+}
 
-  if (AVAILABLE_SYMBOLS.includes(symbol)) {
-    const marker = makePointerPassthrough(new PIXI.Graphics());
-    drawSymbol(marker, symbol, 0, 0, 7, colorValue, 2);
-    marker.position.set(x, y);
-    graphics.addChild(marker);
-    return;
+/**
+ * Get a reusable child of a line, creating it on first use.
+ * @param {PIXI.Graphics} graphics - Line graphics
+ * @param {string} key - Stable key for the child within the line
+ * @param {function(): PIXI.DisplayObject} create - Builds the child
+ * @returns {PIXI.DisplayObject}
+ */
+function useLineChild(graphics, key, create) {
+  let child = graphics._rnkChildren.get(key);
+  if (!child || child.destroyed) {
+    child = makePointerPassthrough(create());
+    graphics._rnkChildren.set(key, child);
+    graphics.addChild(child);
+  }
+  child.visible = true;
+  graphics._rnkUsed.add(key);
+  return child;
+}
+
+/**
+ * Finish a redraw, hiding the reusable children it did not use.
+ * @param {PIXI.Graphics} graphics - Line graphics
+ */
+function endLineDraw(graphics) {
+  graphics._rnkChildren.forEach((child, key) => {
+    if (!graphics._rnkUsed.has(key)) child.visible = false;
+  });
+  if (graphics.geometry) graphics.geometry.invalidate();
+}
+
+/**
+ * Update a text object's content and style, touching only what changed so its texture is
+ * regenerated only when needed.
+ */
+function updateText(text, content, style) {
+  if (text.text !== content) text.text = content;
+  for (const [key, value] of Object.entries(style)) {
+    if (text.style[key] !== value) text.style[key] = value;
   }
+  return text;
+}
+
+function addMarkerSymbol(graphics, index, symbol, x, y, colorValue) {
+  if (typeof symbol !== 'string') symbol = DEFAULT_SETTINGS.symbol;
 
-  if (IMAGE_URL_RE.test(symbol)) {
-    const marker = makePointerPassthrough(PIXI.Sprite.from(symbol));
+  if (!AVAILABLE_SYMBOLS.includes(symbol) && IMAGE_URL_RE.test(symbol)) {
+    const marker = useLineChild(graphics, `marker-image-${index}`, () => PIXI.Sprite.from(symbol));
+    if (marker._rnkSymbol !== symbol) {
+      marker.texture = PIXI.Texture.from(symbol);
+      marker._rnkSymbol = symbol;
+    }
     marker.anchor.set(0.5, 0.5);
     marker.position.set(x, y);
     marker.width = 16;
     marker.height = 16;
     try { marker.tint = colorValue; } catch (err) { /* ignore */ }
-    graphics.addChild(marker);
     return;
   }
 
-  const fallback = makePointerPassthrough(new PIXI.Graphics());
-  drawSymbol(fallback, DEFAULT_SETTINGS.symbol, 0, 0, 7, colorValue, 2);
-  fallback.position.set(x, y);
-  graphics.addChild(fallback);
+  const marker = useLineChild(graphics, `marker-${index}`, () => new PIXI.Graphics());
+  marker.clear();
+  drawSymbol(marker, AVAILABLE_SYMBOLS.includes(symbol) ? symbol : DEFAULT_SETTINGS.symbol, 0, 0, 7, colorValue, 2);
+  marker.position.set(x, y);
+}
+
+/**
+ * Mark where a wall blocks a line with a small cross.
+ */
+function drawBlockMark(graphics, point, lineStyle, colorValue) {
+  const size = Math.max(5, lineStyle.width * 1.5);
+  graphics.lineStyle(Math.max(2, lineStyle.width / 2), colorValue, lineStyle.opacity);
+  graphics.moveTo(point.x - size, point.y - size);
+  graphics.lineTo(point.x + size, point.y + size);
+  graphics.moveTo(point.x + size, point.y - size);
+  graphics.lineTo(point.x - size, point.y + size);
+}
+
+/**
+ * Add a badge under the target end of a line showing the target's cover.
+ * @param {PIXI.Graphics} graphics - Line graphics
+ * @param {string} cover - 'none', 'partial', or 'full'
+ * @param {{x: number, y: number}} end - Target end of the line
+ * @param {Object} lineStyle - Normalized line style
+ */
+function addCoverBadge(graphics, cover, end, lineStyle) {
+  const badge = useLineChild(graphics, 'cover', () => {
+    const container = new PIXI.Container();
+    container.addChild(makePointerPassthrough(new PIXI.Graphics()), makePointerPassthrough(new PIXI.Text('')));
+    return container;
+  });
+  const [background, text] = badge.children;
+  updateText(text, game.i18n.localize(`rnk-illumination.ui.cover.${cover}`), {
+    fontFamily: lineStyle.font,
+    fontSize: Math.max(10, lineStyle.fontSize - 2),
+    fill: 0xFFFFFF,
+    stroke: 0x000000,
+    strokeThickness: 2
+  });
+  text.anchor.set(0.5, 0.5);
+
+  const padX = 6;
+  const padY = 2;
+  background.clear();
+  background.lineStyle(2, Color.from(COVER_COLORS[cover]).valueOf(), 1);
+  background.beginFill(0x000000, 0.6);
+  background.drawRoundedRect(-text.width / 2 - padX, -text.height / 2 - padY, text.width + padX * 2, text.height + padY * 2, 6);
+  background.endFill();
+
+  badge.position.set(end.x, end.y + Math.max(10, lineStyle.width * 3.75) + text.height / 2 + padY);
+}
+
+/**
+ * Get a target's name as this client would see it on the token's nameplate.
+ * @param {Token} token
+ * @returns {string} The name, or an empty string when this client may not see it
+ */
+function getTargetName(token) {
+  const { name, displayName } = token.document ?? {};
+  if (!name) return '';
+  if (game.user?.isGM || token.isOwner) return name;
+  const modes = CONST.TOKEN_DISPLAY_MODES ?? {};
+  return [modes.HOVER, modes.ALWAYS].includes(displayName) ? name : '';
+}
+
+function formatDistance(distance, units) {
+  return `${Math.round(distance * 10) / 10}${units}`;
+}
+
+/**
+ * Build the text of the label at the target end of a line from the parts the user enabled.
+ * The elevation difference is only shown when the tokens are at different elevations.
+ * @param {Object} parts
+ * @param {Object} parts.lineStyle - Normalized line style
+ * @param {string} parts.name - Target name
+ * @param {number} parts.distance - Distance along the ground, in scene units
+ * @param {number} parts.rise - Target elevation minus origin elevation
+ * @param {string|null} parts.band - Range band, or null when the user has none
+ * @param {string} parts.units - Scene distance units
+ * @returns {string}
+ */
+function getEndLabelText({ lineStyle, name, distance, rise, band, units }) {
+  const details = [];
+  if (lineStyle.labelDistance) details.push(formatDistance(distance, units));
+  if (band) details.push(game.i18n.localize(`rnk-illumination.ui.rangeBands.${band}`));
+  if (lineStyle.labelElevation && rise) details.push(`${rise > 0 ? '↑' : '↓'}${formatDistance(Math.abs(rise), units)}`);
+  if (lineStyle.label3d && rise) {
+    details.push(game.i18n.format('rnk-illumination.ui.endLabel.distance3d', { distance: formatDistance(Math.hypot(distance, rise), units) }));
+  }
+  const lines = [];
+  if (lineStyle.labelName && name) lines.push(name);
+  if (details.length) lines.push(details.join(' · '));
+  return lines.join('\n');
+}
+
+/**
+ * Add the label above the target end of a line, colored by the range band the target is in.
+ * Targets beyond the longest range get a warning marker beside the label.
+ * @param {PIXI.Graphics} graphics - Line graphics
+ * @param {string} text - Label text
+ * @param {string} band - 'normal', 'long', or 'beyond'
+ * @param {{x: number, y: number}} end - Target end of the line
+ * @param {Object} lineStyle - Normalized line style
+ * @param {number} bandColor - PIXI hex color value of the band
+ */
+function addEndLabel(graphics, text, band, end, lineStyle, bandColor) {
+  const label = useLineChild(graphics, 'end', () => {
+    const container = new PIXI.Container();
+    container.addChild(makePointerPassthrough(new PIXI.Text('')), makePointerPassthrough(new PIXI.Graphics()));
+    return container;
+  });
+  const [caption, warning] = label.children;
+  updateText(caption, text, {
+    fontFamily: lineStyle.font,
+    fontSize: lineStyle.fontSize,
+    fill: bandColor,
+    align: 'center',
+    stroke: 0x000000,
+    strokeThickness: 3
+  });
+  // The label grows upward from just above the arrowhead
+  caption.anchor.set(0.5, 1);
+
+  warning.clear();
+  warning.visible = band === 'beyond';
+  if (warning.visible) {
+    const size = lineStyle.fontSize;
+    warning.lineStyle(2, 0x000000, 1);
+    warning.beginFill(bandColor, 1);
+    warning.drawPolygon([0, -size / 2, size / 2, size / 2, -size / 2, size / 2]);
+    warning.endFill();
+    warning.lineStyle(2, 0x000000, 1);
+    warning.moveTo(0, -size / 6);
+    warning.lineTo(0, size / 6);
+    warning.drawCircle(0, size / 3, 0.5);
+    warning.position.set(-caption.width / 2 - size * 0.75, -caption.height / 2);
+  }
+
+  label.position.set(end.x, end.y - Math.max(10, lineStyle.width * 3.75) - lineStyle.fontSize / 2);
 }
 
-export function drawTargetingLine(user, targetToken, color, symbol = DEFAULT_SETTINGS.symbol) {
+/**
+ * Draw or redraw a user's targeting line to a token.
+ * @param {User} user
+ * @param {Token} targetToken
+ * @param {string} color
+ * @param {string} [symbol]
+ * @param {Object} [options]
+ * @param {boolean} [options.follow=false] - Redraw for a moving token, reusing the line's distances,
+ *   range bands, and wall tests while both ends stay in the same grid spaces
+ */
+export function drawTargetingLine(user, targetToken, color, symbol = DEFAULT_SETTINGS.symbol, { follow = false } = {}) {
   if (!user || !targetToken || !canvas?.ready) return;
+  // Other users' lines stay hidden on clients that opted out of them
+  if (isTargetingLineHidden(user)) {
+    removeTargetingLine(user, targetToken);
+    return;
+  }
 
   const userToken = _getUserToken(user);
   if (!userToken) return;
 
+  // Players never get lines to or from tokens they cannot see; the segments mode
+  // additionally clips the line to the stretches inside their vision
+  const filtered = isVisionFiltered();
+  const clip = filtered && getLineVisibilityMode() === 'segments';
+  if (filtered) {
+    const hidden = userToken.document?.hidden || targetToken.document?.hidden;
+    if (hidden || (!clip && !(canSeeToken(userToken) && canSeeToken(targetToken)))) {
+      removeTargetingLine(user, targetToken);
+      return;
+    }
+  }
+  // A clipped line to a target this client cannot see, such as an invisible token standing in
+  // its vision, is drawn without the decorations that would mark where the target is
+  const targetSeen = !clip || canSeeToken(targetToken);
+  const { start, end } = getLineEndpoints(userToken, targetToken);
+  const userSettings = user.getFlag(MODULE_ID, 'settings') || {};
+  const lineStyle = normalizeLineStyle(userSettings.line);
+  const bend = lineStyle.style === 'arc' ? getArcBend(user, userToken, targetToken) : 0;
+  const path = getLinePath(start, end, bend);
+  const segments = clip ? getVisibleSegments(start, end, path.pointAt) : [[0, 1]];
+  if (!segments.length) {
+    removeTargetingLine(user, targetToken);
+    return;
+  }
+
   const userId = user.id;
   const targetId = targetToken.id;
   const graphics = getTargetingLineGraphics(userId, targetId);
 
-  try {
-    clearGraphics(graphics);
-  } catch (err) {
-    console.error('RNK™ Illumination | Error clearing targeting line graphics:', err);
-  }
-
-  const startX = userToken.center.x;
-  const startY = userToken.center.y;
-  const endX = targetToken.center.x;
-  const endY = targetToken.center.y;
+  beginLineDraw(graphics);
 
-  const dx = endX - startX;
-  const dy = endY - startY;
-  const totalLength = Math.sqrt(dx * dx + dy * dy);
-  if (!totalLength) return;
+  const totalLength = Math.hypot(end.x - start.x, end.y - start.y);
+  if (!totalLength) {
+    endLineDraw(graphics);
+    return;
+  }
 
   const colorValue = Color.from(color).valueOf();
-  const gridDistance = totalLength / canvas.grid.size;
-  const unitDistance = gridDistance * (canvas.scene.grid.distance || 5);
   const units = canvas.scene.grid.units || 'ft';
 
-  graphics.lineStyle(4, colorValue, 1);
-  graphics.moveTo(startX, startY);
-  graphics.lineTo(endX, endY);
-
-  const markerInterval = 5;
-  const numMarkers = Math.floor(unitDistance / markerInterval);
-  const unitVectorX = dx / totalLength;
-  const unitVectorY = dy / totalLength;
+  // Moving tokens reuse the last measurements until an end enters another grid space
+  const measureKey = `${getGridCellKey(start)}|${getGridCellKey(end)}|${bend}`;
+  if (!follow || graphics._rnkMeasure?.key !== measureKey) {
+    graphics._rnkMeasure = { key: measureKey, ...measureLine(path, start, end, { userSettings, userToken, targetToken, lineStyle }) };
+  }
+  const { totalDistance, bands, normalAt, maxAt, targetBand, markers, blockedAt, cover } = graphics._rnkMeasure;
+
+  // Stretches past normal and long range take the band colors
+  const bandColor = getRangeBandColor(targetBand, colorValue);
+
+  // Past the first sight-blocking wall the line fades to dots
+  const { clear, blocked } = splitAtBlock(segments, blockedAt);
+  const blockedStyle = { ...lineStyle, style: 'dotted', opacity: lineStyle.opacity * BLOCKED_OPACITY };
+  for (const { band, segments: stretches } of splitByRangeBand(clear, normalAt, maxAt)) {
+    drawLineStroke(graphics, path, stretches, lineStyle, getRangeBandColor(band, colorValue));
+    if (lineStyle.style === 'flow') {
+      const flow = useLineChild(graphics, `flow-${band}`, () => new PIXI.Graphics());
+      startLineFlow(flow, path, stretches, lineStyle, getRangeBandColor(band, colorValue));
+    }
+  }
+  for (const { band, segments: stretches } of splitByRangeBand(blocked, normalAt, maxAt)) {
+    drawLineStroke(graphics, path, stretches, blockedStyle, getRangeBandColor(band, colorValue));
+  }
+  if (blocked.length && blocked[0][0] === blockedAt) drawBlockMark(graphics, path.pointAt(blockedAt), lineStyle, colorValue);
 
-  for (let i = 1; i <= numMarkers; i++) {
-    const distance = i * markerInterval;
-    const pixelDist = (distance / (canvas.scene.grid.distance || 5)) * canvas.grid.size;
-    const markerX = startX + unitVectorX * pixelDist;
-    const markerY = startY + unitVectorY * pixelDist;
+  // Long lines can drop their marker labels and keep just the symbols
+  const showMarkerLabels = !lineStyle.markerLabelLimit || markers.length <= lineStyle.markerLabelLimit;
+  markers.forEach(({ t, distance }, index) => {
+    const { x: markerX, y: markerY } = path.pointAt(t);
+    if (clip && !isPointVisible({ x: markerX, y: markerY })) return;
 
-    addMarkerSymbol(graphics, symbol, markerX, markerY, colorValue);
+    addMarkerSymbol(graphics, index, symbol, markerX, markerY, colorValue);
+    if (!showMarkerLabels) return;
 
-    const text = makePointerPassthrough(new PIXI.Text(`${distance}${units}`, {
-      fontFamily: 'Arial',
-      fontSize: 14,
+    const text = updateText(useLineChild(graphics, `label-${index}`, () => new PIXI.Text('')), `${distance}${units}`, {
+      fontFamily: lineStyle.font,
+      fontSize: lineStyle.fontSize,
       fill: 0xFFFFFF,
       align: 'center',
       stroke: 0x000000,
       strokeThickness: 3
-    }));
+    });
     text.anchor.set(0.5, 0.5);
-    text.position.set(markerX, markerY - 15);
-    graphics.addChild(text);
-  }
-
-  const angle = Math.atan2(dy, dx);
-  const arrowLength = 15;
-  const arrowAngle = Math.PI / 6;
-
-  graphics.lineStyle(0);
-  graphics.beginFill(colorValue, 1);
-  graphics.moveTo(endX, endY);
-  graphics.lineTo(
-    endX - arrowLength * Math.cos(angle - arrowAngle),
-    endY - arrowLength * Math.sin(angle - arrowAngle)
-  );
-  graphics.lineTo(
-    endX - arrowLength * Math.cos(angle + arrowAngle),
-    endY - arrowLength * Math.sin(angle + arrowAngle)
-  );
-  graphics.lineTo(endX, endY);
-  graphics.endFill();
+    text.position.set(markerX, markerY - (lineStyle.fontSize + 1));
+  });
 
-  if (graphics.geometry) graphics.geometry.invalidate();
+  // A clipped line only keeps its arrowhead when the target end and the target are in view
+  if (!targetSeen || segments[segments.length - 1][1] < 1) {
+    endLineDraw(graphics);
+    return;
+  }
+
+  drawArrowhead(graphics, end, path.angleAt(1), blockedAt === null ? lineStyle : { ...lineStyle, opacity: lineStyle.opacity * BLOCKED_OPACITY }, bandColor);
+  const endLabel = getEndLabelText({
+    lineStyle,
+    name: getTargetName(targetToken),
+    distance: totalDistance,
+    rise: (Number(targetToken.document?.elevation) || 0) - (Number(userToken.document?.elevation) || 0),
+    band: bands ? targetBand : null,
+    units
+  });
+  if (endLabel) addEndLabel(graphics, endLabel, targetBand, end, lineStyle, bandColor);
+  addCoverBadge(graphics, cover, end, lineStyle);
+
+  endLineDraw(graphics);
 }
 
 export function removeTargetingLine(user, targetToken) {
@@ -191,6 +645,79 @@ export function removeTargetingLine(user, targetToken) {
   }
 }
 
+/**
+ * Redraw the existing lines that start or end at any of the given tokens.
+ * @param {Set<string>} tokenIds
+ * @param {Object} [options] - Drawing options, see drawTargetingLine
+ */
+function redrawLinesForTokens(tokenIds, options = {}) {
+  _targetingLines.forEach((userLines, userId) => {
+    const user = game.users.get(userId);
+    const userToken = user ? _getUserToken(user) : null;
+    const fromFollowed = Boolean(userToken && tokenIds.has(userToken.id));
+    [...userLines.keys()].forEach(targetId => {
+      if (!fromFollowed && !tokenIds.has(targetId)) return;
+      const target = canvas.tokens?.get(targetId);
+      if (!user || !target) return;
+      const settings = user.getFlag(MODULE_ID, 'settings') || DEFAULT_SETTINGS;
+      drawTargetingLine(user, target, settings.color, settings.symbol, options);
+    });
+  });
+}
+
+/**
+ * Measure the lines of tokens that stopped moving again, from where they came to rest.
+ */
+function settleFollowedTokens() {
+  _settleTimeout = null;
+  const tokenIds = new Set(_settlingTokens);
+  _settlingTokens.clear();
+  if (canvas?.ready && tokenIds.size) redrawLinesForTokens(tokenIds);
+}
+
+function flushFollowedTokens() {
+  _followQueued = false;
+  const tokenIds = new Set(_followedTokens);
+  _followedTokens.clear();
+  if (!canvas?.ready || !tokenIds.size) return;
+  redrawLinesForTokens(tokenIds, { follow: true });
+  tokenIds.forEach(tokenId => _settlingTokens.add(tokenId));
+  if (_settleTimeout) clearTimeout(_settleTimeout);
+  _settleTimeout = setTimeout(settleFollowedTokens, SETTLE_MS);
+}
+
+/**
+ * Keep a token's lines attached to it while it is dragged or animates. Call this whenever the
+ * token or its drag preview is redrawn at a new position; the lines are redrawn in place once
+ * per frame, after every moved token has been refreshed and before the frame renders.
+ * @param {Token} token - The token or its drag preview
+ */
+export function followTokenTargetingLines(token) {
+  const source = token?.isPreview ? token._original : token;
+  if (!source?.id || !canvas?.ready) return;
+  if (token.isPreview) {
+    if (token.destroyed) _previews.delete(source.id);
+    else _previews.set(source.id, token);
+  }
+  _followedTokens.add(source.id);
+  if (_followQueued) return;
+  const ticker = canvas.app?.ticker;
+  if (!ticker) return;
+  _followQueued = true;
+  ticker.addOnce(flushFollowedTokens, null, PIXI.UPDATE_PRIORITY.LOW + 1);
+}
+
+/**
+ * Return a token's lines to the token once its drag preview is gone.
+ * @param {Token} preview - The destroyed drag preview
+ */
+export function endTokenPreview(preview) {
+  const source = preview?._original;
+  if (!source?.id || _previews.get(source.id) !== preview) return;
+  _previews.delete(source.id);
+  followTokenTargetingLines(source);
+}
+
 export function updateTokenTargetingLines(token) {
   if (!token || !canvas?.ready) return;
 
@@ -212,6 +739,35 @@ export function updateTokenTargetingLines(token) {
   });
 }
 
+/**
+ * Redraw every user's targeting lines in place after walls, vision, or settings change. Lines
+ * keep their labels and any drag preview they follow; only lines whose user, origin token, or
+ * target is gone, or whose target is no longer targeted, are removed.
+ */
+export function refreshTargetingLines() {
+  if (!canvas?.ready) return;
+  _targetingLines.forEach((userLines, userId) => {
+    const user = game.users.get(userId);
+    const hasOrigin = Boolean(user && _getUserToken(user));
+    [...userLines.keys()].forEach(targetId => {
+      const target = canvas.tokens?.get(targetId);
+      if (hasOrigin && target && user.targets.has(target)) return;
+      try {
+        destroyGraphics(userLines.get(targetId));
+      } catch (err) { /* ignore */ }
+      userLines.delete(targetId);
+    });
+    if (userLines.size === 0) _targetingLines.delete(userId);
+  });
+
+  game.users.forEach(user => {
+    user.targets.forEach(target => {
+      const settings = user.getFlag(MODULE_ID, 'settings') || DEFAULT_SETTINGS;
+      drawTargetingLine(user, target, settings.color, settings.symbol);
+    });
+  });
+}
+
 export function clearTargetingLinesForToken(token) {
   if (!token) return;
   const tokenId = token.id;
@@ -249,4 +805,9 @@ export function clearTargetingLines() {
     });
   });
   _targetingLines.clear();
+  _followedTokens.clear();
+  if (_settleTimeout) clearTimeout(_settleTimeout);
+  _settleTimeout = null;
+  _settlingTokens.clear();
+  clearLineFlows();
 }
\ No newline at end of file
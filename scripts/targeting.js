@@ -6,6 +6,14 @@ import { AVAILABLE_SYMBOLS, DEFAULT_SETTINGS, IMAGE_URL_RE } from './constants.j
 
 // Targeting indicator storage
 const _targetingIndicators = new Map();
+// Indicators animated by the canvas ticker, keyed by their container
+const _animations = new Map();
+let _tickerCallback = null;
+
+const INDICATOR_NAME = 'targeting-indicator';
+// Lock-on and release animation lengths, in milliseconds
+const LOCK_ON_MS = 350;
+const RELEASE_MS = 250;
 
 function makePointerPassthrough(displayObject) {
   if (!displayObject) return displayObject;
@@ -145,34 +153,286 @@ export function drawSymbol(graphics, symbol, x, y, size, color, lineWidth) {
   }
 }
 
+function toIndicatorColor(color) {
+  try { return PIXI.utils.string2hex(color); } catch (err) { return 0xFF0000; }
+}
+
+const easeOut = t => 1 - (1 - t) ** 3;
+
+/**
+ * Draw a reticle around an indicator's ring at rest. Animated styles move the whole
+ * graphics each frame, so the shape is drawn once.
+ * @param {PIXI.Graphics} graphics
+ * @param {string} style - One of RETICLE_STYLES
+ * @param {number} radius - Ring radius
+ * @param {number} color - PIXI hex color value
+ * @param {number} lineWidth
+ */
+function drawReticle(graphics, style, radius, color, lineWidth) {
+  if (style === 'brackets') {
+    // Square corner brackets just outside the ring
+    const corner = radius * 0.95;
+    const arm = radius * 0.35;
+    graphics.lineStyle(lineWidth, color, 0.9);
+    [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([sx, sy]) => {
+      graphics.moveTo(sx * corner, sy * (corner - arm));
+      graphics.lineTo(sx * corner, sy * corner);
+      graphics.lineTo(sx * (corner - arm), sy * corner);
+    });
+  } else if (style === 'lockon') {
+    // Four ticks pointing in at the ring
+    const tick = radius * 0.25;
+    graphics.lineStyle(0);
+    graphics.beginFill(color, 0.9);
+    for (let i = 0; i < 4; i++) {
+      const angle = (Math.PI / 2) * i;
+      const along = (distance, side) => ({
+        x: Math.cos(angle) * distance - Math.sin(angle) * side,
+        y: Math.sin(angle) * distance + Math.cos(angle) * side
+      });
+      const tip = along(radius * 1.02, 0);
+      const left = along(radius * 1.02 + tick, -tick * 0.5);
+      const right = along(radius * 1.02 + tick, tick * 0.5);
+      graphics.drawPolygon([tip.x, tip.y, left.x, left.y, right.x, right.y]);
+    }
+    graphics.endFill();
+  } else if (style === 'radar') {
+    // A wedge fading out behind its leading edge, which sits at angle 0
+    const slices = 6;
+    const slice = Math.PI / 18;
+    graphics.lineStyle(0);
+    for (let i = 0; i < slices; i++) {
+      const to = -i * slice;
+      graphics.beginFill(color, 0.35 * (1 - i / slices));
+      graphics.moveTo(0, 0);
+      graphics.arc(0, 0, radius, to - slice, to);
+      graphics.lineTo(0, 0);
+      graphics.endFill();
+    }
+    graphics.lineStyle(lineWidth, color, 0.9);
+    graphics.moveTo(0, 0);
+    graphics.lineTo(radius, 0);
+  } else if (style === 'pulse') {
+    // Crosshair arms through the ring, open in the middle for the symbol
+    graphics.lineStyle(lineWidth, color, 0.9);
+    for (let i = 0; i < 4; i++) {
+      const angle = (Math.PI / 2) * i;
+      graphics.moveTo(Math.cos(angle) * radius * 0.7, Math.sin(angle) * radius * 0.7);
+      graphics.lineTo(Math.cos(angle) * radius * 1.2, Math.sin(angle) * radius * 1.2);
+    }
+  }
+}
+
+// Idle motion per reticle style, from the milliseconds since the indicator appeared
+const RETICLE_MOTION = {
+  // One turn every eight seconds
+  brackets: (reticle, time) => { reticle.rotation = (time / 8000) * Math.PI * 2; },
+  // The ticks close in over the first part of each cycle, then hold
+  lockon: (reticle, time) => {
+    const close = Math.min(1, ((time % 1600) / 1600) / 0.4);
+    reticle.scale.set(1.25 - 0.25 * easeOut(close));
+    reticle.alpha = 0.4 + 0.6 * close;
+  },
+  // One sweep every two seconds
+  radar: (reticle, time) => { reticle.rotation = (time / 2000) * Math.PI * 2; },
+  pulse: (reticle, time) => {
+    const wave = (Math.sin((time / 1200) * Math.PI * 2) + 1) / 2;
+    reticle.scale.set(1 + 0.1 * wave);
+    reticle.alpha = 0.5 + 0.5 * wave;
+  }
+};
+
+function tick() {
+  const deltaMS = canvas?.app?.ticker?.deltaMS ?? 16.7;
+  _animations.forEach((state, indicator) => {
+    if (indicator.destroyed) {
+      _animations.delete(indicator);
+      return;
+    }
+    state.time += deltaMS;
+    if (state.release !== null) {
+      // Released indicators grow and fade out, then remove themselves
+      state.release += deltaMS;
+      const t = Math.min(1, state.release / RELEASE_MS);
+      indicator.scale.set(1 + 0.4 * easeOut(t));
+      indicator.alpha = 1 - t;
+      if (t < 1) return;
+      _animations.delete(indicator);
+      try { indicator.parent?.removeChild(indicator); indicator.destroy({ children: true }); } catch (err) { /* ignore */ }
+      return;
+    }
+    if (state.intro !== null) {
+      // Acquired indicators close in from larger and transparent
+      state.intro += deltaMS;
+      const t = Math.min(1, state.intro / LOCK_ON_MS);
+      indicator.scale.set(1.6 - 0.6 * easeOut(t));
+      indicator.alpha = t;
+      if (t >= 1) state.intro = null;
+    }
+    const motion = RETICLE_MOTION[state.style];
+    if (motion) motion(state.reticle, state.time);
+    else if (state.intro === null) _animations.delete(indicator);
+  });
+  if (!_animations.size) stopTicker();
+}
+
+function stopTicker() {
+  if (!_tickerCallback) return;
+  canvas?.app?.ticker?.remove(_tickerCallback);
+  _tickerCallback = null;
+}
+
+/**
+ * Animate an indicator with the canvas ticker.
+ * @returns {boolean} False when there is no ticker to drive the animation
+ */
+function animateIndicator(indicator, state) {
+  const ticker = canvas?.app?.ticker;
+  if (!ticker) return false;
+  _animations.set(indicator, state);
+  if (!_tickerCallback) {
+    _tickerCallback = tick;
+    ticker.add(_tickerCallback);
+  }
+  return true;
+}
+
+/**
+ * Add a targeter's symbol, or their uploaded image, to an indicator.
+ * @param {PIXI.Container} parent
+ * @param {string} symbol - Preset symbol or image path
+ * @param {number} color - PIXI hex color value
+ * @param {number} size - Symbol radius
+ * @param {number} lineWidth
+ * @returns {PIXI.DisplayObject}
+ */
+function addIndicatorSymbol(parent, symbol, color, size, lineWidth) {
+  if (AVAILABLE_SYMBOLS.includes(symbol)) {
+    const symbolGraphics = makePointerPassthrough(new PIXI.Graphics());
+    drawSymbol(symbolGraphics, symbol, 0, 0, size, color, lineWidth);
+    return parent.addChild(symbolGraphics);
+  }
+  try {
+    const sprite = makePointerPassthrough(PIXI.Sprite.from(symbol));
+    sprite.anchor.set(0.5, 0.5);
+    try { sprite.tint = color; } catch (e) { /* ignore */ }
+    sprite.width = size * 4;
+    sprite.height = size * 4;
+    return parent.addChild(sprite);
+  } catch (err) {
+    const fallback = makePointerPassthrough(new PIXI.Graphics());
+    drawSymbol(fallback, 'x', 0, 0, size, color, lineWidth);
+    return parent.addChild(fallback);
+  }
+}
+
+/**
+ * Add a small pip for one targeter on the edge of a shared indicator, showing their avatar
+ * or their symbol inside a ring of their color.
+ */
+function addTargeterPip(parent, targeter, x, y, size, avatars) {
+  const color = toIndicatorColor(targeter.color);
+  const pip = makePointerPassthrough(new PIXI.Container());
+  pip.position.set(x, y);
+  pip.zIndex = 20;
+
+  const backing = makePointerPassthrough(new PIXI.Graphics());
+  backing.beginFill(0x000000, 0.75);
+  backing.drawCircle(0, 0, size);
+  backing.endFill();
+  pip.addChild(backing);
+
+  if (avatars && targeter.avatar) {
+    const avatar = makePointerPassthrough(PIXI.Sprite.from(targeter.avatar));
+    avatar.anchor.set(0.5, 0.5);
+    avatar.width = size * 2;
+    avatar.height = size * 2;
+    const mask = makePointerPassthrough(new PIXI.Graphics());
+    mask.beginFill(0xFFFFFF, 1);
+    mask.drawCircle(0, 0, size);
+    mask.endFill();
+    avatar.mask = mask;
+    pip.addChild(avatar, mask);
+  } else {
+    addIndicatorSymbol(pip, targeter.symbol, color, size * 0.55, 1.5);
+  }
+
+  const rim = makePointerPassthrough(new PIXI.Graphics());
+  rim.lineStyle(2, color, 1, 0.5, true);
+  rim.drawCircle(0, 0, size);
+  pip.addChild(rim);
+  parent.addChild(pip);
+}
+
 /**
- * Create a targeting indicator for a token
+ * Add a badge above a shared indicator with the number of users targeting the token.
+ */
+function addTargeterCount(parent, count, radius) {
+  const size = Math.max(8, radius * 0.2);
+  const badge = makePointerPassthrough(new PIXI.Container());
+  badge.position.set(0, -radius - size * 0.6);
+  badge.zIndex = 25;
+
+  const backing = makePointerPassthrough(new PIXI.Graphics());
+  backing.lineStyle(2, 0xFFFFFF, 1, 0.5, true);
+  backing.beginFill(0x000000, 0.85);
+  backing.drawCircle(0, 0, size);
+  backing.endFill();
+  badge.addChild(backing);
+
+  const text = makePointerPassthrough(new PIXI.Text(String(count), {
+    fontFamily: 'Arial',
+    fontSize: Math.round(size * 1.2),
+    fontWeight: 'bold',
+    fill: 0xFFFFFF
+  }));
+  text.anchor.set(0.5, 0.5);
+  badge.addChild(text);
+  parent.addChild(badge);
+}
+
+/**
+ * Create a targeting indicator for a token, showing every user targeting it. A single targeter
+ * gets a full ring with their symbol in the middle. Several targeters split the ring into arcs
+ * in their colors, each with a pip on the edge, and a badge counts them. The first targeter's
+ * reticle is drawn around the ring, and a new indicator locks on with a short animation.
  * @param {Token} token - The targeted token
- * @param {string} color - The color for the indicator
- * @param {string} symbol - The symbol to display
+ * @param {Array<{color: string, symbol: string, avatar: string, reticle: string}>} targeters - Targeting users' colors, symbols, avatars, and reticles
+ * @param {Object} [options]
+ * @param {number} [options.scale=1] - Size multiplier for the indicator
+ * @param {boolean} [options.avatars=false] - Show avatars in the pips instead of symbols
+ * @param {boolean} [options.reducedMotion=false] - Draw the reticle still and skip the lock-on and release animations
  * @returns {PIXI.Container} The indicator container
  */
-export function createTargetingIndicator(token, color, symbol) {
+export function createTargetingIndicator(token, targeters, { scale = 1, avatars = false, reducedMotion = false } = {}) {
   const container = ensureTargetingContainer(token);
-  const indicatorId = 'targeting-indicator';
-  const existing = container.getChildByName(indicatorId);
+  // Tokens refresh often, so the indicator is only rebuilt when what it shows changes
+  const signature = JSON.stringify({ targeters, scale, avatars, reducedMotion, w: token.w, h: token.h });
+  const existing = container.getChildByName(INDICATOR_NAME);
+  if (existing?._rnkSignature === signature) {
+    container.visible = true;
+    return existing;
+  }
+  // A rebuilt indicator carries on its animation rather than locking on again
+  const previous = existing ? _animations.get(existing) : null;
   if (existing) {
+    _animations.delete(existing);
     try { container.removeChild(existing).destroy({ children: true }); } catch (err) { /* ignore */ }
   }
 
   const effectContainer = makePointerPassthrough(new PIXI.Container());
-  effectContainer.name = indicatorId;
+  effectContainer.name = INDICATOR_NAME;
+  effectContainer._rnkSignature = signature;
+  effectContainer._rnkReducedMotion = reducedMotion;
   effectContainer.sortableChildren = true;
   effectContainer.zIndex = 50;
   effectContainer.x = token.w / 2;
   effectContainer.y = token.h / 2;
 
-  const overlayColor = (() => {
-    try { return PIXI.utils.string2hex(color); } catch (err) { return 0xFF0000; }
-  })();
-
-  const radius = Math.min(token.w, token.h) / 2 - 2;
+  const overlayColor = toIndicatorColor(targeters[0]?.color);
+  const radius = (Math.min(token.w, token.h) / 2 - 2) * scale;
   const borderWidth = Math.max(2, Math.round(Math.min(token.w, token.h) * 0.05));
+  const symbolWidth = Math.max(2, Math.round(Math.min(token.w, token.h) * 0.03));
 
   const background = makePointerPassthrough(new PIXI.Graphics());
   background.zIndex = 5;
@@ -184,30 +444,45 @@ export function createTargetingIndicator(token, color, symbol) {
 
   const border = makePointerPassthrough(new PIXI.Graphics());
   border.zIndex = 10;
-  border.lineStyle(borderWidth, overlayColor, 0.8, 0.5, true);
-  border.drawCircle(0, 0, radius);
   effectContainer.addChild(border);
 
-  if (AVAILABLE_SYMBOLS.includes(symbol)) {
-    const symbolGraphics = makePointerPassthrough(new PIXI.Graphics());
-    symbolGraphics.zIndex = 15;
-    drawSymbol(symbolGraphics, symbol, 0, 0, radius * 0.6, overlayColor, Math.max(2, Math.round(Math.min(token.w, token.h) * 0.03)));
-    effectContainer.addChild(symbolGraphics);
+  if (targeters.length <= 1) {
+    border.lineStyle(borderWidth, overlayColor, 0.8, 0.5, true);
+    border.drawCircle(0, 0, radius);
+    addIndicatorSymbol(effectContainer, targeters[0]?.symbol, overlayColor, radius * 0.6, symbolWidth).zIndex = 15;
   } else {
-    try {
-      const sprite = makePointerPassthrough(PIXI.Sprite.from(symbol));
-      sprite.zIndex = 15;
-      sprite.anchor.set(0.5, 0.5);
-      try { sprite.tint = overlayColor; } catch (e) { /* ignore */ }
-      const size = radius * 1.2;
-      sprite.width = size * 2;
-      sprite.height = size * 2;
-      effectContainer.addChild(sprite);
-    } catch (err) {
-      const fallback = makePointerPassthrough(new PIXI.Graphics());
-      fallback.zIndex = 15;
-      drawSymbol(fallback, 'x', 0, 0, radius * 0.6, overlayColor, Math.max(2, Math.round(Math.min(token.w, token.h) * 0.03)));
-      effectContainer.addChild(fallback);
+    // One arc per targeter clockwise from the top, with a pip at the middle of each arc
+    const step = (Math.PI * 2) / targeters.length;
+    const gap = Math.min(0.15, step * 0.15);
+    const pipSize = Math.max(6, radius * 0.18);
+    targeters.forEach((targeter, index) => {
+      const from = -Math.PI / 2 + index * step + gap / 2;
+      const to = from + step - gap;
+      border.lineStyle(borderWidth, toIndicatorColor(targeter.color), 0.8, 0.5);
+      border.moveTo(Math.cos(from) * radius, Math.sin(from) * radius);
+      border.arc(0, 0, radius, from, to);
+      const middle = (from + to) / 2;
+      addTargeterPip(effectContainer, targeter, Math.cos(middle) * radius, Math.sin(middle) * radius, pipSize, avatars);
+    });
+    addTargeterCount(effectContainer, targeters.length, radius);
+  }
+
+  const style = targeters[0]?.reticle ?? 'static';
+  const reticle = makePointerPassthrough(new PIXI.Graphics());
+  // The radar wedge sweeps under the symbol; the other reticles sit over the ring
+  reticle.zIndex = style === 'radar' ? 8 : 12;
+  drawReticle(reticle, style, radius, overlayColor, Math.max(2, borderWidth * 0.6));
+  effectContainer.addChild(reticle);
+
+  if (!reducedMotion) {
+    const intro = existing ? (previous?.intro ?? null) : 0;
+    const state = { reticle, style, time: previous?.time ?? 0, intro, release: null };
+    if ((intro !== null || RETICLE_MOTION[style]) && animateIndicator(effectContainer, state)) {
+      if (intro !== null) {
+        effectContainer.scale.set(1.6 - 0.6 * easeOut(intro / LOCK_ON_MS));
+        effectContainer.alpha = intro / LOCK_ON_MS;
+      }
+      RETICLE_MOTION[style]?.(reticle, state.time);
     }
   }
 
@@ -219,13 +494,13 @@ export function createTargetingIndicator(token, color, symbol) {
 /**
  * Show targeting indicator for a token
  * @param {Token} token - The token to show indicator for
- * @param {string} color - The color for the indicator
- * @param {string} symbol - The symbol to display
+ * @param {Array<{color: string, symbol: string, avatar: string}>} targeters - Users targeting the token
+ * @param {Object} [options] - Indicator options, see createTargetingIndicator
  */
-export function showTargetingIndicator(token, color, symbol) {
-  if (!token) return;
+export function showTargetingIndicator(token, targeters, options = {}) {
+  if (!token || !targeters?.length) return;
   try {
-    const indicator = createTargetingIndicator(token, color, symbol);
+    const indicator = createTargetingIndicator(token, targeters, options);
     _targetingIndicators.set(token.id, indicator);
   } catch (err) {
     console.error('RNK™ Illumination | Failed to show targeting indicator:', err);
@@ -233,16 +508,24 @@ export function showTargetingIndicator(token, color, symbol) {
 }
 
 /**
- * Hide targeting indicator for a token
+ * Hide targeting indicator for a token, playing its release animation unless motion is reduced
  * @param {Token} token - The token to hide indicator for
+ * @param {Object} [options]
+ * @param {boolean} [options.animate=true] - Play the release animation, e.g. false when the token is being removed
  */
-export function hideTargetingIndicator(token) {
+export function hideTargetingIndicator(token, { animate = true } = {}) {
   if (!token) return;
   try {
     const container = token.targetingContainer;
     if (container && !container.destroyed) {
-      const indicator = container.getChildByName('targeting-indicator');
-      if (indicator) {
+      const indicator = container.getChildByName(INDICATOR_NAME);
+      const state = indicator ? _animations.get(indicator) : null;
+      const release = { reticle: null, style: null, time: 0, intro: null, ...state, release: 0 };
+      if (indicator && animate && !indicator._rnkReducedMotion && animateIndicator(indicator, release)) {
+        // Renamed so a new target lock starts a fresh indicator while this one fades
+        indicator.name = `${INDICATOR_NAME}-release`;
+      } else if (indicator) {
+        _animations.delete(indicator);
         container.removeChild(indicator).destroy({ children: true });
       }
     }
@@ -278,4 +561,6 @@ export function isValidSymbol(symbol) {
  */
 export function clearTargetingIndicators() {
   _targetingIndicators.clear();
+  _animations.clear();
+  stopTicker();
 }
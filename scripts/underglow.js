@@ -0,0 +1,156 @@
+/**
+ * RNK™ Illumination - Ground-Plane Underglow
+ */
+
+import { sampleGradient } from './animations.js';
+
+const UNDERGLOW_NAME = 'rnk-illumination-underglow';
+const UNDERGLOW_RINGS = 8;
+
+/**
+ * Keep a module display object from swallowing canvas clicks and hover events.
+ * @param {PIXI.DisplayObject} displayObject
+ * @returns {PIXI.DisplayObject}
+ */
+export function makePointerPassthrough(displayObject) {
+  if (!displayObject) return displayObject;
+  if ('eventMode' in displayObject) displayObject.eventMode = 'none';
+  if ('interactive' in displayObject) displayObject.interactive = false;
+  if ('interactiveChildren' in displayObject) displayObject.interactiveChildren = false;
+  if ('buttonMode' in displayObject) displayObject.buttonMode = false;
+  if ('accessible' in displayObject) displayObject.accessible = false;
+  return displayObject;
+}
+
+/**
+ * Return the rendered footprint of a placeable in canvas coordinates.
+ * Uses the live container position so the pool follows movement animation.
+ * @param {object} placeable
+ * @returns {{x: number, y: number, w: number, h: number}|null}
+ */
+export function getPlaceableFootprint(placeable) {
+  if (!placeable) return null;
+  const doc = placeable.document;
+  const w = placeable.w ?? doc?.width ?? doc?.shape?.width ?? placeable.width ?? 0;
+  const h = placeable.h ?? doc?.height ?? doc?.shape?.height ?? placeable.height ?? 0;
+  const x = placeable.x ?? doc?.x ?? 0;
+  const y = placeable.y ?? doc?.y ?? 0;
+  if (!w || !h) return null;
+  return { x, y, w, h };
+}
+
+/**
+ * The primary canvas group sorts by elevation, then sort layer. Sitting one sort layer
+ * below the placeable's mesh keeps the pool under the artwork but above the background.
+ */
+function syncPrimarySorting(graphics, placeable) {
+  const mesh = placeable.mesh;
+  const elevation = mesh?.elevation ?? placeable.document?.elevation ?? 0;
+  const sortLayer = mesh?.sortLayer ?? 0;
+  graphics.elevation = elevation;
+  graphics.sortLayer = sortLayer - 1;
+  graphics.sort = mesh?.sort ?? placeable.document?.sort ?? 0;
+  graphics.zIndex = mesh?.zIndex ?? 0;
+}
+
+function getUnderglowParent(placeable) {
+  if (placeable.mesh && canvas?.primary) return canvas.primary;
+  return placeable;
+}
+
+/**
+ * Draw elliptical, soft-falloff light pools beneath a placeable.
+ * Multiple pools are stacked in order within the same ground-plane graphics. Radial pools blend
+ * their color stops from the center outward; cycling pools are drawn white for tinting.
+ * A pool's `alpha` is its peak opacity at intensity 1, and `blur` softens its edge as a
+ * fraction of its range.
+ * @param {object} placeable - Token, tile, or other placeable with a footprint
+ * @param {Array<{colors: number[], gradient?: string, intensity?: number, range?: number, alpha?: number, blur?: number}>} pools
+ * @param {Object} [options]
+ * @param {boolean} [options.blur=true] - Soften the pool edges with a blur filter
+ * @returns {PIXI.Graphics|null}
+ */
+export function applyUnderglow(placeable, pools = [], { blur = true } = {}) {
+  if (!pools.length) return null;
+  const footprint = getPlaceableFootprint(placeable);
+  if (!footprint) return null;
+
+  let graphics = placeable._rnkUnderglow;
+  if (!graphics || graphics.destroyed) {
+    graphics = makePointerPassthrough(new PIXI.Graphics());
+    graphics.name = UNDERGLOW_NAME;
+    graphics.blendMode = PIXI.BLEND_MODES.ADD;
+    getUnderglowParent(placeable).addChild(graphics);
+    placeable._rnkUnderglow = graphics;
+  }
+
+  graphics.clear();
+  for (const { colors, gradient = 'none', intensity = 1, range = 30, alpha = 0.35 } of pools) {
+    const radiusX = footprint.w / 2 + range / 2;
+    const radiusY = (footprint.h / 2 + range / 2) * 0.75;
+    const peakAlpha = Math.min(1, alpha * intensity);
+
+    for (let i = 0; i < UNDERGLOW_RINGS; i++) {
+      const scale = 1 - i / UNDERGLOW_RINGS;
+      let color = colors[0];
+      if (gradient === 'radial') color = sampleGradient(colors, scale);
+      else if (gradient === 'cycle' && colors.length > 1) color = 0xFFFFFF;
+      graphics.beginFill(color, peakAlpha / UNDERGLOW_RINGS * (i + 1));
+      graphics.drawEllipse(0, 0, radiusX * scale, radiusY * scale);
+      graphics.endFill();
+    }
+  }
+
+  const BlurFilter = PIXI.BlurFilter ?? PIXI.filters?.BlurFilter;
+  const blurStrength = Math.max(...pools.map(pool => (pool.range ?? 30) * (pool.blur ?? 0.34)));
+  if (blur && BlurFilter && blurStrength > 0) {
+    const blurFilter = graphics.filters?.[0] ?? new BlurFilter();
+    blurFilter.blur = blurStrength;
+    graphics.filters = [blurFilter];
+  } else if (graphics.filters) {
+    graphics.filters.forEach(filter => filter.destroy?.());
+    graphics.filters = null;
+  }
+
+  syncUnderglow(placeable);
+  return graphics;
+}
+
+/**
+ * Keep an existing underglow aligned with its placeable.
+ * @param {object} placeable
+ */
+export function syncUnderglow(placeable) {
+  const graphics = placeable?._rnkUnderglow;
+  if (!graphics || graphics.destroyed) return;
+  const footprint = getPlaceableFootprint(placeable);
+  if (!footprint) return;
+
+  const centerX = footprint.x + footprint.w / 2;
+  const centerY = footprint.y + footprint.h * 0.6;
+  if (graphics.parent === placeable) {
+    graphics.position.set(footprint.w / 2, footprint.h * 0.6);
+    graphics.zIndex = -1;
+  } else {
+    graphics.position.set(centerX, centerY);
+    syncPrimarySorting(graphics, placeable);
+  }
+  graphics.visible = placeable.visible !== false && placeable.renderable !== false;
+}
+
+/**
+ * Remove the underglow graphics from a placeable.
+ * @param {object} placeable
+ */
+export function removeUnderglow(placeable) {
+  const graphics = placeable?._rnkUnderglow;
+  if (!graphics) return;
+  try {
+    graphics.parent?.removeChild(graphics);
+    graphics.filters?.forEach(filter => filter.destroy?.());
+    if (!graphics.destroyed) graphics.destroy({ children: true });
+  } catch (err) {
+    console.error('RNK™ Illumination | Failed to remove underglow', err);
+  }
+  placeable._rnkUnderglow = null;
+}
@@ -0,0 +1,78 @@
+/**
+ * RNK™ Illumination - Client Visibility
+ */
+
+import { LINE_VISIBILITY_MODES, MODULE_ID } from './constants.js';
+
+// Spacing of the vision samples taken along a clipped line, as a fraction of a grid space
+const SEGMENT_SAMPLE_FRACTION = 0.25;
+
+/**
+ * Get how targeting lines respect this client's vision.
+ * @returns {string} 'all', 'tokens', or 'segments'
+ */
+export function getLineVisibilityMode() {
+  let mode = null;
+  try { mode = game.settings.get(MODULE_ID, 'lineVisibility'); } catch (err) { /* not registered yet */ }
+  return LINE_VISIBILITY_MODES.includes(mode) ? mode : 'tokens';
+}
+
+/**
+ * Check whether targeting visuals are filtered by vision on this client. GMs always see everything.
+ * @returns {boolean}
+ */
+export function isVisionFiltered() {
+  return !game.user?.isGM && getLineVisibilityMode() !== 'all';
+}
+
+/**
+ * Check whether this client can currently see a token, honoring hidden tokens, vision, and fog.
+ * @param {Token} token
+ * @returns {boolean}
+ */
+export function canSeeToken(token) {
+  if (!token) return false;
+  if (!isVisionFiltered()) return true;
+  if (token.document?.hidden) return false;
+  return Boolean(token.isVisible ?? token.visible);
+}
+
+/**
+ * Check whether a canvas point is inside this client's current vision.
+ * @param {{x: number, y: number}} point
+ * @returns {boolean}
+ */
+export function isPointVisible(point) {
+  if (!isVisionFiltered()) return true;
+  const visibility = canvas?.visibility;
+  if (!visibility?.tokenVision || typeof visibility.testVisibility !== 'function') return true;
+  return visibility.testVisibility(point, { tolerance: 1 });
+}
+
+/**
+ * Split a line into the stretches this client can see, sampled at a fraction of a grid space.
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} end
+ * @param {function(number): {x: number, y: number}} [pointAt] - Point at a fraction of a curved line
+ * @returns {Array<[number, number]>} Visible stretches as start and end fractions of the line
+ */
+export function getVisibleSegments(start, end, pointAt = null) {
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  if (!length) return [];
+  const step = Math.max(1, (canvas?.grid?.size || 100) * SEGMENT_SAMPLE_FRACTION);
+  const samples = Math.max(1, Math.ceil(length / step));
+
+  const segments = [];
+  let open = null;
+  for (let i = 0; i <= samples; i++) {
+    const t = i / samples;
+    const visible = isPointVisible(pointAt ? pointAt(t) : { x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t });
+    if (visible && open === null) open = t;
+    if (!visible && open !== null) {
+      segments.push([open, (i - 1) / samples]);
+      open = null;
+    }
+  }
+  if (open !== null) segments.push([open, 1]);
+  return segments.filter(([from, to]) => to > from);
+}
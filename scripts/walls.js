@@ -0,0 +1,70 @@
+/**
+ * RNK™ Illumination - Wall and Door Illumination
+ */
+
+import { DOOR_STATES } from './constants.js';
+import { parseColor } from './effects.js';
+import { getOverlay, removeOverlay, syncOverlaySorting } from './overlays.js';
+
+const WALL_OVERLAY_NAME = 'rnk-illumination-wall';
+const WALL_LINE_WIDTH = 6;
+
+/**
+ * Check whether a placeable is a wall.
+ * @param {object} placeable
+ * @returns {boolean}
+ */
+export function isWall(placeable) {
+  return (placeable?.document?.documentName ?? placeable?.documentName) === 'Wall';
+}
+
+/**
+ * Describe a wall as a plain wall, a door, or a secret door.
+ * @param {object} wall
+ * @returns {string} 'wall', 'door', or 'secret'
+ */
+export function getWallType(wall) {
+  const door = wall?.document?.door;
+  if (door === CONST.WALL_DOOR_TYPES.SECRET) return 'secret';
+  if (door === CONST.WALL_DOOR_TYPES.DOOR) return 'door';
+  return 'wall';
+}
+
+/**
+ * Get a door's state, or null for a wall without a door.
+ * @param {object} wall
+ * @returns {string|null} 'closed', 'open', or 'locked'
+ */
+export function getDoorState(wall) {
+  if (getWallType(wall) === 'wall') return null;
+  return DOOR_STATES[wall.document.ds] ?? 'closed';
+}
+
+/**
+ * Draw a line along a wall's coordinates to carry the profile's effect filters. Walls have no
+ * artwork of their own, so without it a glow would cover the whole wall container.
+ * @param {object} wall - Wall placeable
+ * @param {Object} settings - Normalized profile
+ * @returns {PIXI.Container|null} The overlay, or null when the wall has no coordinates
+ */
+export function applyWallOverlay(wall, settings) {
+  const coords = wall.document?.c ?? [];
+  const overlay = coords.length === 4 && coords.every(Number.isFinite) ? getOverlay(wall, WALL_OVERLAY_NAME) : null;
+  if (!overlay) {
+    removeOverlay(wall);
+    return null;
+  }
+  syncOverlaySorting(overlay, 0);
+
+  const color = parseColor(settings.color);
+  const signature = JSON.stringify({ coords, color });
+  if (overlay._rnkSignature === signature) return overlay;
+  overlay._rnkSignature = signature;
+
+  const [x0, y0, x1, y1] = coords;
+  overlay.boundary.clear();
+  overlay.boundary.lineStyle({ width: WALL_LINE_WIDTH, color, alpha: 1, cap: PIXI.LINE_CAP.ROUND });
+  overlay.boundary.moveTo(x0, y0);
+  overlay.boundary.lineTo(x1, y1);
+  return overlay;
+}
@@ -0,0 +1,110 @@
+/**
+ * RNK™ Illumination - Illumination Zone Region Behavior
+ */
+
+import {
+  AVAILABLE_ANIMATIONS,
+  AVAILABLE_EFFECTS,
+  DEFAULT_SETTINGS,
+  MODULE_ID,
+  ZONE_MODES
+} from './constants.js';
+import { normalizeEffectSettings, stackProfiles } from './profiles.js';
+
+export const ZONE_BEHAVIOR_TYPE = `${MODULE_ID}.illuminationZone`;
+
+// Called when a token enters or leaves a zone, so its illumination can be re-resolved
+let _onZoneChange = null;
+
+const toChoices = (values, prefix) => Object.fromEntries(values.map(value => [value, `${prefix}.${value}`]));
+
+/**
+ * Region Behavior that lights every token inside the region with its own profile.
+ * The behavior holds no per-token state: a token's zones are read from the regions it is
+ * currently in, and entering or leaving only triggers a refresh.
+ */
+export class IlluminationZoneBehavior extends foundry.data.regionBehaviors.RegionBehaviorType {
+  static LOCALIZATION_PREFIXES = ['rnk-illumination.zone'];
+
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    return {
+      mode: new fields.StringField({
+        required: true,
+        choices: toChoices(ZONE_MODES, 'rnk-illumination.zone.modes'),
+        initial: 'stack'
+      }),
+      color: new fields.ColorField({ required: true, nullable: false, initial: '#9b59b6' }),
+      effect: new fields.StringField({
+        required: true,
+        choices: toChoices(AVAILABLE_EFFECTS.filter(effect => effect !== 'none'), 'rnk-illumination.zone.effects'),
+        initial: 'glow'
+      }),
+      intensity: new fields.NumberField({ required: true, min: 0.1, max: 3, step: 0.1, initial: DEFAULT_SETTINGS.intensity }),
+      range: new fields.NumberField({ required: true, min: 5, max: 120, step: 5, initial: DEFAULT_SETTINGS.range }),
+      animation: new fields.StringField({
+        required: true,
+        choices: toChoices(AVAILABLE_ANIMATIONS, 'rnk-illumination.zone.animations'),
+        initial: 'none'
+      })
+    };
+  }
+
+  static events = {
+    [CONST.REGION_EVENTS.TOKEN_ENTER]: this._onTokenMove,
+    [CONST.REGION_EVENTS.TOKEN_EXIT]: this._onTokenMove
+  };
+
+  static async _onTokenMove(event) {
+    const token = event.data?.token?.object;
+    if (token) _onZoneChange?.(token);
+  }
+}
+
+/**
+ * Register the zone behavior type and the callback run when a token enters or leaves a zone.
+ * @param {Object} options
+ * @param {function(Token): void} options.onZoneChange
+ */
+export function configureZones({ onZoneChange } = {}) {
+  _onZoneChange = onZoneChange ?? null;
+  CONFIG.RegionBehavior.dataModels[ZONE_BEHAVIOR_TYPE] = IlluminationZoneBehavior;
+  CONFIG.RegionBehavior.typeIcons[ZONE_BEHAVIOR_TYPE] = 'fa-solid fa-sun';
+  CONFIG.RegionBehavior.typeLabels[ZONE_BEHAVIOR_TYPE] = 'rnk-illumination.zone.label';
+}
+
+/**
+ * Build the profile a zone behavior applies.
+ * @param {RegionBehavior} behavior
+ * @returns {Object} Normalized profile
+ */
+export function getZoneProfile(behavior) {
+  const { color, effect, intensity, range, animation } = behavior.system;
+  return normalizeEffectSettings({ color, effect, intensity, range, animation });
+}
+
+/**
+ * List the enabled zone behaviors of the given regions.
+ * @param {Iterable<RegionDocument>} regions
+ * @returns {Array<{region: RegionDocument, behavior: RegionBehavior}>}
+ */
+export function getIlluminationZones(regions) {
+  return Array.from(regions ?? []).flatMap(region => Array.from(region.behaviors ?? [])
+    .filter(behavior => behavior.type === ZONE_BEHAVIOR_TYPE && !behavior.disabled)
+    .map(behavior => ({ region, behavior })));
+}
+
+/**
+ * Resolve the zone profiles for a token from the regions it is standing in. Zones in
+ * 'replace' mode stand in for the owner and disposition profiles; zones in 'stack' mode are
+ * layered on top of whichever profile the token shows. Several zones of a mode stack in order.
+ * @param {Token} token
+ * @returns {{replace: Object|null, stack: Object|null}}
+ */
+export function getZoneSettings(token) {
+  const zones = getIlluminationZones(token?.document?.regions);
+  const combine = mode => zones
+    .filter(({ behavior }) => behavior.system.mode === mode)
+    .reduce((profile, { behavior }) => stackProfiles(profile, getZoneProfile(behavior)), null);
+  return { replace: combine('replace'), stack: combine('stack') };
+}